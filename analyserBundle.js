@@ -0,0 +1,113 @@
+/**
+ * Reads and writes offline bundles of analysers, for seeding install dirs that can't reach the registries.
+ * A bundle is a .tgz of:
+ *   bundle.json      {bundleVersion: 1, createdAt, analysers: [{name, version, registry, tarball, integrity, file}]}
+ *   analysers.json   the list of analysers when the bundle was made
+ *   tarballs/        the analysers' tarballs, e.g. tarballs/my-analyser@1.0.0.tgz
+ * tarball and integrity are where each tarball was originally installed from and its hash.
+ */
+
+"use strict";
+
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const analyserDirs = require('./analyserDirs');
+const tarball = require('./extractors/tarball');
+const wrapError = require('./errors').wrap;
+
+const readJson = Promise.promisify(fs.readJson);
+const outputJson = Promise.promisify(fs.outputJson);
+const mkdirs = Promise.promisify(fs.mkdirs);
+const rename = Promise.promisify(fs.rename);
+const remove = Promise.promisify(fs.remove);
+
+const BUNDLE_VERSION = 1;
+const BUNDLE_FILE_NAME = 'bundle.json';
+const LIST_FILE_NAME = 'analysers.json';
+const TARBALLS_DIR_NAME = 'tarballs';
+
+exports.BUNDLE_VERSION = BUNDLE_VERSION;
+
+/**
+ * @param bundleDir the dir the bundle is being made in, or was unpacked to
+ * @param analyserName
+ * @param version
+ * @returns String abs path of the analyser's tarball in the bundle
+ */
+exports.tarballPath = function(bundleDir, analyserName, version){
+  return path.join(bundleDir, TARBALLS_DIR_NAME, `${analyserDirs.dirName(analyserName, version)}.tgz`);
+};
+
+/**
+ * Write a bundle from a dir with the tarballs already in place (see tarballPath)
+ * @param bundleDir
+ * @param analysers Array of {name, version, registry, tarball, integrity}
+ * @param list the list of analysers
+ * @param outFile abs path of the bundle to write, replacing any existing file once the bundle is complete
+ * @returns Promise
+ */
+exports.write = function(bundleDir, analysers, list, outFile){
+  const tmpFile = `${outFile}.${process.pid}.tmp`;
+  const bundle = {
+    bundleVersion: BUNDLE_VERSION,
+    createdAt: new Date().toISOString(),
+    analysers: _.map(analysers, function(analyser){
+      const file = path.relative(bundleDir, exports.tarballPath(bundleDir, analyser.name, analyser.version));
+      return _.assign(_.pick(analyser, ['name', 'version', 'registry', 'tarball', 'integrity']), {file: file.replace(/\\/g, '/')});
+    })
+  };
+
+  return outputJson(path.join(bundleDir, BUNDLE_FILE_NAME), bundle)
+    .then(function(){
+      return outputJson(path.join(bundleDir, LIST_FILE_NAME), list || {});
+    })
+    .then(function(){
+      return mkdirs(path.dirname(outFile));
+    })
+    .then(function(){
+      return tarball.pack(bundleDir, tmpFile);
+    })
+    .then(function(){
+      return rename(tmpFile, outFile);
+    })
+    .catch(function(err){
+      return remove(tmpFile)
+        .finally(function(){
+          return Promise.reject(wrapError(`Unable to write analyser bundle '${outFile}'`, err));
+        });
+    });
+};
+
+/**
+ * Unpack a bundle
+ * @param file abs path of the bundle
+ * @param intoDir abs path of an empty dir to unpack it to
+ * @returns Promise {analysers: Array of {name, version, registry, tarball, integrity, file: abs path}, list}
+ */
+exports.read = function(file, intoDir){
+  return mkdirs(intoDir)
+    .then(function(){
+      return tarball.unpack(file, intoDir);
+    })
+    .then(function(){
+      return Promise.join(readJson(path.join(intoDir, BUNDLE_FILE_NAME)), readJson(path.join(intoDir, LIST_FILE_NAME)));
+    })
+    .spread(function(bundle, list){
+      if(bundle.bundleVersion > BUNDLE_VERSION){
+        return Promise.reject(wrapError(`version ${bundle.bundleVersion} bundles are not supported, only version ${BUNDLE_VERSION}`));
+      }
+      return {
+        analysers: _.map(bundle.analysers, function(analyser){
+          return _.assign({}, analyser, {file: exports.tarballPath(intoDir, analyser.name, analyser.version)});
+        }),
+        list: list
+      };
+    })
+    .catch(function(err){
+      return Promise.reject(wrapError(`Unable to read analyser bundle '${file}'`, err));
+    });
+};
@@ -0,0 +1,30 @@
+/**
+ * Names the dirs analysers are installed in: <name>@<version>, e.g. my-analyser@1.0.0.
+ * Scoped npm names (@scope/name) would otherwise become nested dirs, so their '/' is replaced with '+' (which
+ * can't appear in a package name): @scope/my-analyser@1.0.0 is installed in @scope+my-analyser@1.0.0.
+ */
+
+"use strict";
+
+const SCOPE_SEPARATOR = '+';
+
+/**
+ * @param analyserName e.g. my-analyser or @scope/my-analyser
+ * @param version
+ * @returns String the dir name for the analyser version
+ */
+exports.dirName = function(analyserName, version){
+  return `${analyserName.replace('/', SCOPE_SEPARATOR)}@${version}`;
+};
+
+/**
+ * @param dirName an analyser dir name, e.g. @scope+my-analyser@1.0.0
+ * @returns Object {name, version}, or null if dirName is not an analyser dir name
+ */
+exports.parse = function(dirName){
+  const at = dirName.lastIndexOf('@');
+  if(at <= 0 || at === dirName.length - 1){
+    return null;  //no version, or only the '@' of a scope
+  }
+  return {name: dirName.substr(0, at).replace(SCOPE_SEPARATOR, '/'), version: dirName.substr(at + 1)};
+};
@@ -0,0 +1,171 @@
+/**
+ * Fetches and merges the lists of analysers (analysers.json) from the configured sources.
+ *
+ * A source is one of:
+ *   'https://example.com/analysers.json'                   fetched over http(s)
+ *   '/abs/path/analysers.json'                             read from disk (relative paths resolve against the cwd)
+ *   {name: 'mine', analysers: {...}}                       an in-memory list
+ *   {name: 'mine', url: [mirror1, mirror2], optional: true}
+ * An array of urls/paths is a list of mirrors, tried in order until one succeeds.
+ * Sources are merged in order, so an entry in a later source overrides an entry with the same name in an earlier one.
+ * A failing source fails the whole list unless it is marked optional.
+ *
+ * Pass an httpCache ({url: {etag, analysers}}) to make conditional requests - it is updated with every list
+ * fetched that has an ETag, so it can be persisted by the caller.
+ * Lists are fetched with the timeout and retry policy given (see httpClient.js).
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const Promise = require('bluebird');
+const jsonWithComments = require('strip-json-comments');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:list');
+
+const httpClient = require('./httpClient');
+const NetworkError = require('./errors/NetworkError');
+const ConfigParseError = require('./errors/ConfigParseError');
+const wrapError = require('./errors').wrap;
+
+const readFile = Promise.promisify(fs.readFile);
+
+const REPO_SLUG = "sidekickcode/analysers/master/analysers.json";
+
+exports.DEFAULT_SOURCES = [{
+  name: 'sidekick',
+  url: ['https://cdn.rawgit.com/' + REPO_SLUG, 'https://raw.githubusercontent.com/' + REPO_SLUG]
+}];
+
+/**
+ * Turn the different ways of describing a source into {name, locations, analysers, optional}
+ * @param source
+ * @returns Object
+ * @throws TypeError for an unrecognised source
+ */
+exports.normaliseSource = function(source){
+  if(_.isString(source) || _.isArray(source)){
+    source = {url: source};
+  }
+  if(!_.isPlainObject(source)){
+    throw new TypeError(`Invalid analyser list source: ${JSON.stringify(source)}`);
+  }
+
+  if(source.analysers){
+    return {name: source.name || 'memory', analysers: source.analysers, optional: !!source.optional};
+  }
+
+  var locations = source.url || source.path;
+  locations = _.isArray(locations) ? locations : [locations];
+  if(locations.length === 0 || !_.every(locations, _.isString)){
+    throw new TypeError(`Invalid analyser list source: ${JSON.stringify(source)}`);
+  }
+  return {name: source.name || locations[0], locations: locations, optional: !!source.optional};
+};
+
+/**
+ * Fetch all the sources and merge them - each entry gets a 'source' property naming the source it came from.
+ * @param sources Array of sources
+ * @param httpCache (optional) {url: {etag, analysers}} used for conditional requests, updated in place
+ * @param httpPolicy (optional) timeout and retry policy for fetching lists over http(s), see httpClient.get
+ * @returns Promise {analyserName: entry}
+ */
+exports.fetchAll = function(sources, httpCache, httpPolicy){
+  httpCache = httpCache || {};
+
+  var normalised;
+  try {
+    normalised = _.map(sources, exports.normaliseSource);
+  } catch(err){
+    return Promise.reject(err);
+  }
+
+  return Promise.all(_.map(normalised, function(source){
+    return fetchSource(source, httpCache, httpPolicy)
+      .catch(function(err){
+        if(source.optional){
+          debug(`ignoring optional source '${source.name}': ${err.message}`);
+          return {};
+        }
+        return Promise.reject(err);
+      });
+  }))
+  .then(function(lists){
+    var merged = {};
+    _.each(lists, function(list, index){
+      _.each(list, function(entry, analyserName){
+        merged[analyserName] = _.assign({}, entry, {source: normalised[index].name});
+      });
+    });
+    return merged;
+  });
+};
+
+function fetchSource(source, httpCache, httpPolicy){
+  if(source.analysers){
+    return Promise.resolve(source.analysers);
+  }
+
+  //try each mirror in turn
+  return _.reduce(_.rest(source.locations), function(previous, location){
+    return previous.catch(function(){
+      return fetchLocation(location, httpCache, httpPolicy);
+    });
+  }, fetchLocation(_.first(source.locations), httpCache, httpPolicy));
+}
+
+function fetchLocation(location, httpCache, httpPolicy){
+  if(isURL(location)){
+    var cached = httpCache[location];
+    var headers = cached && cached.etag ? {'If-None-Match': cached.etag} : {};
+
+    return httpClient.get({url: location, headers: headers}, httpPolicy)
+      .then(function(response) {
+        if(response.statusCode == 304 && cached) {
+          debug(`analysers list from ${location} not modified`);
+          return cached.analysers;
+        } else if(response.statusCode == 200) {
+          debug(`have analysers list from ${location}`);
+          return parseList(response.body, location)
+            .then(function(analysers){
+              if(response.headers.etag){
+                httpCache[location] = {etag: response.headers.etag, analysers: analysers};
+              }
+              return analysers;
+            });
+        } else {
+          debug('analyser list unavailable: ' + JSON.stringify(response, null, 4));
+          return Promise.reject(new NetworkError(`Unable to fetch list of analysers from '${location}'`, location, response.statusCode));
+        }
+      }, function(err){
+        debug(`error fetching analyser list from ${location}`);
+        return Promise.reject(new NetworkError(`Unable to fetch list of analysers from '${location}'`, location, null, err));
+      });
+  } else {
+    return readFile(path.resolve(location), {encoding: 'utf8'})
+      .then(function(fileContents){
+        debug(`have analysers list from ${location}`);
+        return parseList(fileContents, location);
+      }, function(err){
+        return doReject(`Unable to read list of analysers from '${location}'`, err);
+      });
+  }
+}
+
+function isURL(location){
+  return /^https?:\/\//i.test(location);
+}
+
+function parseList(contents, location){
+  try {
+    return Promise.resolve(JSON.parse(jsonWithComments(contents)));
+  } catch(err){
+    return Promise.reject(new ConfigParseError(location, err));
+  }
+}
+
+function doReject(errMsg, err){
+  return Promise.reject(wrapError(errMsg, err));
+}
@@ -0,0 +1,124 @@
+/**
+ * Reads and writes the analyser lockfile, which pins the version each analyser resolved to so every machine installs
+ * the same ones:
+ *   {"lockfileVersion": 1, "analysers": {"sidekick-david": {"version": "1.0.3", "registry": "npm",
+ *     "tarball": "https://registry.npmjs.org/sidekick-david/-/sidekick-david-1.0.3.tgz", "integrity": "sha512-..."}}}
+ * Analysers are written sorted by name so the file diffs well. Updates hold a lock (see installLock.js) in
+ * <lockfile>.lock, so processes sharing it don't lose each other's changes - it is removed once the update is done.
+ */
+
+"use strict";
+
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const installLock = require('./installLock');
+const ConfigParseError = require('./errors/ConfigParseError');
+const wrapError = require('./errors').wrap;
+
+const readFile = Promise.promisify(fs.readFile);
+const outputFile = Promise.promisify(fs.outputFile);
+const rename = Promise.promisify(fs.rename);
+const remove = Promise.promisify(fs.remove);
+const mkdirs = Promise.promisify(fs.mkdirs);
+
+const LOCKFILE_VERSION = 1;
+const ENTRY_FIELDS = ['version', 'registry', 'tarball', 'integrity'];
+
+exports.LOCKFILE_VERSION = LOCKFILE_VERSION;
+exports.ENTRY_FIELDS = ENTRY_FIELDS;
+
+//updates in progress in this process, by abs path of the lockfile
+const updatesInFlight = {};
+var writeCount = 0;
+
+/**
+ * @param file abs path of the lockfile
+ * @returns Promise {lockfileVersion, analysers: {name: {version, registry, tarball, integrity}}} - empty if there is
+ *          no lockfile yet
+ */
+exports.read = function(file){
+  return readFile(file, {encoding: 'utf8'})
+    .then(function(contents){
+      try {
+        var lock = JSON.parse(contents);
+      } catch(err){
+        return Promise.reject(new ConfigParseError(file, err));
+      }
+      if(lock.lockfileVersion > LOCKFILE_VERSION){
+        return Promise.reject(wrapError(`Analyser lockfile '${file}' is version ${lock.lockfileVersion}, only version ${LOCKFILE_VERSION} is supported`));
+      }
+      return {lockfileVersion: LOCKFILE_VERSION, analysers: lock.analysers || {}};
+    }, function(err){
+      if(err.code === 'ENOENT'){
+        return {lockfileVersion: LOCKFILE_VERSION, analysers: {}};
+      }
+      return Promise.reject(wrapError(`Unable to read analyser lockfile '${file}'`, err));
+    });
+};
+
+/**
+ * Change the lockfile. Updates to the same lockfile are made one at a time, across processes, and the file is only
+ * written if it changed.
+ * @param file abs path of the lockfile
+ * @param changeFn function(lock) that changes lock in place
+ * @param lockOptions (optional) see installLock.acquire
+ * @returns Promise the updated lock
+ */
+exports.update = function(file, changeFn, lockOptions){
+  const previous = updatesInFlight[file] || Promise.resolve();
+  const update = previous
+    .catch(_.noop)
+    .then(function(){
+      return mkdirs(path.dirname(file));
+    })
+    .then(function(){
+      return installLock.withFileLock(`${file}.lock`, lockOptions, function(){
+        return exports.read(file)
+          .then(function(lock){
+            const before = JSON.stringify(lock);
+            changeFn(lock);
+            return JSON.stringify(lock) === before ? lock : write(file, lock);
+          });
+      });
+    })
+    .finally(function(){
+      if(updatesInFlight[file] === update){
+        delete updatesInFlight[file];
+      }
+    });
+  updatesInFlight[file] = update;
+  return update;
+};
+
+/**
+ * @param details e.g. an install manifest
+ * @returns Object the lockfile entry for it
+ */
+exports.entryFor = function(details){
+  return _.omit(_.pick(details, ENTRY_FIELDS), _.isUndefined);
+};
+
+function write(file, lock){
+  const sorted = {
+    lockfileVersion: LOCKFILE_VERSION,
+    analysers: _.zipObject(_.sortBy(_.pairs(lock.analysers), _.first))
+  };
+  const tmpFile = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}-${Date.now()}-${++writeCount}.tmp`);
+
+  return outputFile(tmpFile, JSON.stringify(sorted, null, 2) + '\n')
+    .then(function(){
+      return rename(tmpFile, file);
+    })
+    .then(function(){
+      return sorted;
+    }, function(err){
+      return remove(tmpFile)
+        .finally(function(){
+          return Promise.reject(err);
+        });
+    });
+}
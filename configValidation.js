@@ -0,0 +1,30 @@
+/**
+ * Validates analyser configs (an analyser's config.json) against analyserConfigSchema.json.
+ * Properties not in the schema are allowed, so analysers can add their own settings.
+ */
+
+"use strict";
+
+const Validator = require('jsonschema').Validator;
+const _ = require('lodash');
+
+const SCHEMA = require('./analyserConfigSchema.json');
+
+exports.SCHEMA = SCHEMA;
+
+/**
+ * @param config the parsed analyser config
+ * @returns Array of {path, message} for every problem with config, e.g. {path: '$.languages[0]', message: 'is not
+ *          of a type(s) string'} - empty if it is valid
+ */
+exports.validate = function(config){
+  const result = new Validator().validate(config, SCHEMA);
+
+  return _.map(result.errors, function(error){
+    const path = error.property.replace(/^instance/, '$');
+    if(error.name === 'required'){
+      return {path: `${path}.${error.argument}`, message: 'is required'};
+    }
+    return {path: path, message: error.message};
+  });
+};
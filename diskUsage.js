@@ -0,0 +1,41 @@
+/**
+ * Works out how much disk space files and dirs use
+ */
+
+"use strict";
+
+const path = require('path');
+const fs = require('fs');
+
+const Promise = require('bluebird');
+
+const lstat = Promise.promisify(fs.lstat);
+const readdir = Promise.promisify(fs.readdir);
+
+/**
+ * Total size of a file, or a dir and everything in it. Symlinks are not followed, so a linked analyser only
+ * counts the link itself.
+ * @param file abs path
+ * @returns Promise bytes, 0 if it does not exist
+ */
+exports.sizeOf = function sizeOf(file){
+  return lstat(file)
+    .then(function(stat){
+      if(!stat.isDirectory()){
+        return stat.size;
+      }
+      return readdir(file)
+        .then(function(entries){
+          return Promise.map(entries, function(entry){
+            return sizeOf(path.join(file, entry));
+          }, {concurrency: 8});
+        })
+        .then(function(sizes){
+          return sizes.reduce(function(total, size){
+            return total + size;
+          }, stat.size);
+        });
+    }, function(){
+      return 0;
+    });
+};
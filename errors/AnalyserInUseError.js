@@ -0,0 +1,11 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function AnalyserInUseError(analyserName, version, reason) {
+  AnalyserManagerError.call(this, 'ERR_ANALYSER_IN_USE', `Unable to remove analyser '${analyserName}@${version}': ${reason}`, undefined, analyserName, version);
+  this.reason = reason;
+};
+
+inherits(module.exports, AnalyserManagerError);
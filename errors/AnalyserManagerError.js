@@ -0,0 +1,20 @@
+'use strict';
+
+var inherits = require('util').inherits;
+
+/**
+ * The base of every error the manager rejects with. code is stable (unlike the message) so callers can match on it,
+ * cause is the error that led to this one (its message is appended to this one's), and analyser and version are
+ * the analyser the error is about, if any.
+ */
+module.exports = function AnalyserManagerError(code, message, cause, analyserName, version) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.code = code || 'ERR_ANALYSER_MANAGER';
+  this.cause = cause;
+  this.analyser = analyserName;
+  this.version = version;
+  this.message = cause && cause.message ? `${message}\n${cause.message}` : message;
+};
+
+inherits(module.exports, Error);
@@ -0,0 +1,10 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function AnalyserNotInstalledError(analyserName, version, message, cause) {
+  AnalyserManagerError.call(this, 'ERR_NOT_INSTALLED', message || `Analyser '${analyserName}@${version}' is not installed`, cause, analyserName, version);
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,16 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function BatchInstallError(results) {
+  var names = results.filter(function(result){
+    return result.status === 'failed' && result.failCiOnError;
+  }).map(function(result){
+    return result.name;
+  });
+  AnalyserManagerError.call(this, 'ERR_BATCH_INSTALL', `Unable to install analysers that fail CI on error: ${names.join(', ')}`);
+  this.results = results;
+};
+
+inherits(module.exports, AnalyserManagerError);
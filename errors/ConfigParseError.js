@@ -0,0 +1,11 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function ConfigParseError(file, cause, analyserName, version) {
+  AnalyserManagerError.call(this, 'ERR_CONFIG_PARSE', `Unable to parse '${file}'`, cause, analyserName, version);
+  this.file = file;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,16 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function InstallScriptError(analyserName, version, exitCode, signal, timedOut, logTail, cause) {
+  var reason = cause ? `failed: ${cause.message}` : timedOut ? 'timed out' : (exitCode !== null ? `exited with code ${exitCode}` : `failed${signal ? ` (${signal})` : ''}`);
+  AnalyserManagerError.call(this, 'ERR_INSTALL_SCRIPT', `bin/install for analyser '${analyserName}@${version}' ${reason}${logTail ? `:\n${logTail}` : ''}`,
+    cause, analyserName, version);
+  this.exitCode = exitCode;
+  this.signal = signal;
+  this.timedOut = timedOut;
+  this.logTail = logTail;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,13 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function IntegrityError(analyserName, version, expected, actual) {
+  AnalyserManagerError.call(this, 'ERR_INTEGRITY', `Integrity check failed for analyser '${analyserName}@${version}': expected ${expected}, got ${actual}`,
+    undefined, analyserName, version);
+  this.expected = expected;
+  this.actual = actual;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,14 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function InvalidAnalyserConfigError(analyserName, version, problems) {
+  var details = problems.map(function(problem){
+    return `\n  ${problem.path}: ${problem.message}`;
+  }).join('');
+  AnalyserManagerError.call(this, 'ERR_INVALID_CONFIG', `Invalid config for analyser '${analyserName}@${version}':${details}`, undefined, analyserName, version);
+  this.problems = problems;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,14 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function LockMismatchError(analyserName, version, field, locked, actual) {
+  AnalyserManagerError.call(this, 'ERR_LOCK_MISMATCH', `Analyser '${analyserName}@${version}' does not match the lockfile: ${field} is locked to '${locked}', got '${actual}'`,
+    undefined, analyserName, version);
+  this.field = field;
+  this.locked = locked;
+  this.actual = actual;
+};
+
+inherits(module.exports, AnalyserManagerError);
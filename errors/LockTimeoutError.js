@@ -0,0 +1,14 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function LockTimeoutError(lockName, holder) {
+  AnalyserManagerError.call(this, 'ERR_LOCK_TIMEOUT', holder && holder.pid
+    ? `Timed out waiting for lock on '${lockName}' held by pid ${holder.pid} on ${holder.hostname}`
+    : `Timed out waiting for lock on '${lockName}'`);
+  this.lock = lockName;
+  this.holder = holder;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,12 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function NetworkError(message, url, statusCode, cause, analyserName, version) {
+  AnalyserManagerError.call(this, 'ERR_NETWORK', statusCode ? `${message}, status: ${statusCode}` : message, cause, analyserName, version);
+  this.url = url;
+  this.statusCode = statusCode;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,10 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function OfflineError(message, analyserName, cause) {
+  AnalyserManagerError.call(this, 'ERR_OFFLINE', `Offline: ${message}`, cause, analyserName);
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,11 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function PermissionError(message, path, cause) {
+  AnalyserManagerError.call(this, 'ERR_PERMISSION', message, cause);
+  this.path = path;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,11 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function RegistryError(message, statusCode, cause, analyserName, version) {
+  AnalyserManagerError.call(this, 'ERR_REGISTRY', statusCode ? `${message}, status: ${statusCode}` : message, cause, analyserName, version);
+  this.statusCode = statusCode;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -1,11 +1,10 @@
 'use strict';
 
 var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
 
 module.exports = function UnknownAnalyserError(analyserName) {
-  Error.captureStackTrace(this, this.constructor);
-  this.name = this.constructor.name;
-  this.message = `Unknown analyser: ${analyserName}`;
+  AnalyserManagerError.call(this, 'ERR_UNKNOWN_ANALYSER', `Unknown analyser: ${analyserName}`, undefined, analyserName);
 };
 
-inherits(module.exports, Error);
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,13 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function UnknownRegistryError(registryName, analyserName) {
+  AnalyserManagerError.call(this, 'ERR_UNKNOWN_REGISTRY', analyserName
+    ? `Unknown registry '${registryName}' for analyser: ${analyserName}`
+    : `Unknown registry: ${registryName}`, undefined, analyserName);
+  this.registry = registryName;
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,10 @@
+'use strict';
+
+var inherits = require('util').inherits;
+var AnalyserManagerError = require('./AnalyserManagerError');
+
+module.exports = function VersionNotFoundError(analyserName, version, message) {
+  AnalyserManagerError.call(this, 'ERR_VERSION_NOT_FOUND', message || `Invalid version '${version}' for analyser '${analyserName}'`, undefined, analyserName, version);
+};
+
+inherits(module.exports, AnalyserManagerError);
@@ -0,0 +1,56 @@
+'use strict';
+
+var AnalyserManagerError = require('./AnalyserManagerError');
+var PermissionError = require('./PermissionError');
+
+/**
+ * Every error class the manager rejects with, by name. They all extend AnalyserManagerError, so have a stable code.
+ */
+module.exports = exports = {
+  AnalyserManagerError: AnalyserManagerError,
+  AnalyserInUseError: require('./AnalyserInUseError'),
+  AnalyserNotInstalledError: require('./AnalyserNotInstalledError'),
+  BatchInstallError: require('./BatchInstallError'),
+  ConfigParseError: require('./ConfigParseError'),
+  InstallScriptError: require('./InstallScriptError'),
+  IntegrityError: require('./IntegrityError'),
+  InvalidAnalyserConfigError: require('./InvalidAnalyserConfigError'),
+  LockMismatchError: require('./LockMismatchError'),
+  LockTimeoutError: require('./LockTimeoutError'),
+  NetworkError: require('./NetworkError'),
+  OfflineError: require('./OfflineError'),
+  PermissionError: PermissionError,
+  RegistryError: require('./RegistryError'),
+  UnknownAnalyserError: require('./UnknownAnalyserError'),
+  UnknownRegistryError: require('./UnknownRegistryError'),
+  VersionNotFoundError: require('./VersionNotFoundError')
+};
+
+/**
+ * Add context to an error. If cause is one of ours the result has its class and fields (code, analyser, url...),
+ * so callers can still tell what went wrong - otherwise it is a PermissionError for a file permission error, or an
+ * AnalyserManagerError.
+ * @param message what was being done
+ * @param cause (optional) the error
+ * @returns AnalyserManagerError
+ */
+exports.wrap = function(message, cause){
+  if(cause instanceof AnalyserManagerError){
+    return withContext(message, cause);
+  }
+  if(cause && (cause.code === 'EACCES' || cause.code === 'EPERM')){
+    return new PermissionError(message, cause.path, cause);
+  }
+  return new AnalyserManagerError(null, message, cause);
+};
+
+function withContext(message, cause){
+  var wrapped = Object.create(Object.getPrototypeOf(cause));
+  Object.keys(cause).forEach(function(key){
+    wrapped[key] = cause[key];
+  });
+  wrapped.cause = cause;
+  wrapped.message = `${message}\n${cause.message}`;
+  Error.captureStackTrace(wrapped, exports.wrap);
+  return wrapped;
+}
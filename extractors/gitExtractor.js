@@ -0,0 +1,184 @@
+/**
+ * Clones and installs an analyser from a git repository.
+ * The analysers.json entry names the repo and optionally a ref (tag, branch or commit) to install as the latest
+ * version instead of the highest version tag:
+ *   {"registry": "git", "url": "https://github.com/org/my-analyser.git", "ref": "master", "config": {...}}
+ * Versions are the repo's semver tags (with or without a leading 'v'). Any other version is not found, rather than
+ * installing the ref in its place.
+ */
+
+"use strict";
+const path = require('path');
+const EventEmitter = require('events');
+const inherits = require('util').inherits;
+const execFileCB = require('child_process').execFile;
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const semver = require('semver');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:git');
+
+const analyserDirs = require('../analyserDirs');
+const runInstallScript = require('./installScript');
+const RegistryError = require('../errors/RegistryError');
+const VersionNotFoundError = require('../errors/VersionNotFoundError');
+
+const execFile = Promise.promisify(execFileCB);
+const remove = Promise.promisify(fs.remove);
+
+module.exports = exports = GitExtractor;
+
+/**
+ * @param analyserEntry the analysers.json entry for the analyser {url, ref}
+ * @param options (optional) {installScript: {timeout, allowEnv}} see installScript.js
+ * @constructor
+ */
+function GitExtractor(analyserEntry, options){
+  var self = this;
+
+  EventEmitter.call(self);
+
+  const installScriptOptions = options && options.installScript;
+
+  const repoURL = analyserEntry && analyserEntry.url;
+  const defaultRef = analyserEntry && analyserEntry.ref;
+
+  self.fetch = function(analyser, analyserVersion, analyserInstallDir){
+    var eventData = {'analyser': analyser.name, 'version': analyserVersion, 'canFailCi': analyser.failCiOnError};
+    var newAnalyserDir = path.join(analyserInstallDir, analyserDirs.dirName(analyser.name, analyserVersion));
+
+    self.emit('downloading', eventData);
+    return resolveRef(analyser.name, analyserVersion)
+        .then(function(ref){
+          debug(`cloning ${repoURL} at '${ref}'`);
+          return git(['clone', '--quiet', '--', repoURL, newAnalyserDir])
+              .then(function(){
+                return git(['checkout', '--quiet', ref, '--'], newAnalyserDir);
+              })
+              .then(function(){
+                return remove(path.join(newAnalyserDir, '.git'));
+              }, function(err){
+                return Promise.reject(new RegistryError(`Unable to clone analyser '${analyser.name}' at '${ref}'`, null, err, analyser.name, analyserVersion));
+              });
+        })
+        .then(function(){
+          self.emit('downloaded', eventData);
+          return runInstallScript.forExtractor(self, newAnalyserDir, eventData, installScriptOptions);
+        });
+  };
+
+  self.getLatestVersion = function(analyserName){
+    return fetchRefs(analyserName)
+        .then(function(refs){
+          var versions = _.keys(refs.tags).sort(semver.compare);
+          if(defaultRef){
+            return refVersion(analyserName, refs);
+          } else if(versions.length === 0){
+            return Promise.reject(new VersionNotFoundError(analyserName, 'latest', `No semver tags found for analyser '${analyserName}' in '${repoURL}'`));
+          } else {
+            return doResolve(_.last(versions));
+          }
+        });
+  };
+
+  self.listVersions = function(analyserName){
+    return fetchRefs(analyserName)
+        .then(function(refs){
+          return doResolve(_.keys(refs.tags));
+        });
+  };
+
+  /**
+   * List the repo's refs
+   * @returns Promise {tags: {version: tagName}, shas: {refName: sha}} only semver tags are included in tags
+   */
+  function fetchRefs(analyserName){
+    if(!repoURL){
+      return Promise.reject(new RegistryError(`No git url configured for analyser '${analyserName}'`, null, null, analyserName));
+    }
+
+    return git(['ls-remote', '--tags', '--heads', '--', repoURL])
+        .then(function(stdout){
+          var refs = {tags: {}, shas: {}};
+          _.each(stdout.split('\n'), function(line){
+            var match = /^([0-9a-f]+)\s+refs\/(heads|tags)\/([^\^]+)$/.exec(line.trim()); //ignore peeled ^{} refs
+            if(match){
+              refs.shas[match[3]] = match[1];
+              var version = match[2] === 'tags' && semver.valid(match[3].replace(/^v/, ''));
+              if(version){
+                refs.tags[version] = match[3];
+              }
+            }
+          });
+          return refs;
+        }, function(err){
+          return Promise.reject(new RegistryError(`Unable to list refs for analyser '${analyserName}' in '${repoURL}'`, null, err, analyserName));
+        });
+  }
+
+  /**
+   * The version for the ref in the analysers.json entry. A semver tag is its own version, a branch or commit
+   * becomes a prerelease of 0.0.0 named after its commit, e.g. 0.0.0-1a2b3c4
+   */
+  function refVersion(analyserName, refs){
+    var taggedVersion = _.findKey(refs.tags, function(tagName){
+      return tagName === defaultRef;
+    });
+    if(taggedVersion){
+      return doResolve(taggedVersion);
+    }
+
+    var sha = refs.shas[defaultRef] || (/^[0-9a-f]{7,40}$/i.test(defaultRef) ? defaultRef : null);
+    if(sha){
+      return doResolve(`0.0.0-${sha.substr(0, 7).toLowerCase()}`);
+    } else {
+      return Promise.reject(new VersionNotFoundError(analyserName, defaultRef, `Invalid ref for analyser '${analyserName}'. '${repoURL}' does not have '${defaultRef}'`));
+    }
+  }
+
+  /**
+   * Find the git ref to checkout for a version: the matching tag, the highest tag for 'latest', or the ref from the
+   * analysers.json entry for 'latest' or the version it resolves to (see refVersion).
+   */
+  function resolveRef(analyserName, analyserVersion){
+    if(defaultRef && defaultRef[0] === '-'){
+      return Promise.reject(new RegistryError(`Invalid ref '${defaultRef}' for analyser '${analyserName}'`, null, null, analyserName));
+    }
+
+    return fetchRefs(analyserName)
+        .then(function(refs){
+          var versions = _.keys(refs.tags).sort(semver.compare);
+          var isLatest = !analyserVersion || analyserVersion === 'latest';
+          if(refs.tags[analyserVersion]){
+            return refs.tags[analyserVersion];
+          } else if(defaultRef){
+            return refVersion(analyserName, refs)
+                .then(function(version){
+                  if(isLatest || version === analyserVersion){
+                    return defaultRef;
+                  }
+                  return Promise.reject(versionNotFound());
+                });
+          } else if(isLatest && versions.length > 0){
+            return refs.tags[_.last(versions)];
+          } else {
+            return Promise.reject(versionNotFound());
+          }
+        });
+
+    function versionNotFound(){
+      return new VersionNotFoundError(analyserName, analyserVersion,
+          `Invalid version for analyser '${analyserName}'. '${repoURL}' does not have tag '${analyserVersion}'`);
+    }
+  }
+
+  function git(args, cwd){
+    return execFile('git', args, {cwd: cwd});
+  }
+
+  function doResolve(stuff){
+    return Promise.resolve(stuff);
+  }
+}
+inherits(GitExtractor, EventEmitter);
@@ -0,0 +1,178 @@
+/**
+ * Runs the bin/install script of a freshly downloaded analyser - shared by all extractors.
+ * The script runs in the analyser dir with only the allowed environment variables, and is killed if it takes longer
+ * than the timeout. Its output is saved to install.log in the analyser dir, unless the log option is false - the
+ * install fails if install.log can't be written.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const spawn = require('child_process').spawn;
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:install');
+
+const os = require('@sidekick/common/os');
+
+const InstallScriptError = require('../errors/InstallScriptError');
+
+const LOG_FILE_NAME = 'install.log';
+const LOG_TAIL_LINES = 20;
+const KILL_GRACE_PERIOD = 5 * 1000;
+
+const DEFAULTS = {
+  timeout: 10 * 60 * 1000,
+  allowEnv: []
+};
+
+//enough for scripts to find their tools, write temp files and get through a proxy
+const ENV_ALLOW_LIST = [
+  'PATH', 'HOME', 'USER', 'LOGNAME', 'SHELL', 'LANG', 'LC_ALL', 'TZ', 'TMPDIR', 'TEMP', 'TMP',
+  'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY',
+  'SYSTEMROOT', 'COMSPEC', 'PATHEXT', 'WINDIR', 'APPDATA', 'LOCALAPPDATA', 'USERPROFILE', 'PROGRAMFILES'
+];
+
+module.exports = exports = runInstallScript;
+
+exports.LOG_FILE_NAME = LOG_FILE_NAME;
+exports.DEFAULTS = DEFAULTS;
+exports.ENV_ALLOW_LIST = ENV_ALLOW_LIST;
+
+/**
+ * Run bin/install for an extractor, emitting 'installing', 'installOutput' (as the script writes output) and
+ * 'installed' from it with eventData.
+ * @param extractor EventEmitter the extractor installing the analyser
+ * @param analyserDir abs path of the analyser
+ * @param eventData {analyser, version}
+ * @param options (optional) see runInstallScript
+ * @returns Promise resolves when the script exits successfully, rejects with InstallScriptError
+ */
+exports.forExtractor = function(extractor, analyserDir, eventData, options){
+  extractor.emit('installing', eventData);
+  return runInstallScript(analyserDir, _.assign({}, options, {
+        analyser: eventData.analyser,
+        version: eventData.version,
+        onOutput: function(output){
+          extractor.emit('installOutput', _.assign({}, eventData, output));
+        }
+      }))
+      .then(function(){
+        extractor.emit('installed', eventData);
+      });
+};
+
+/**
+ * Run bin/install (bin\install.cmd on windows) inside the analyser dir.
+ * @param analyserDir abs path of the analyser
+ * @param options (optional)
+ *    analyser, version: the analyser being installed, for errors
+ *    timeout: ms to let the script run before killing it
+ *    allowEnv: names of environment variables to pass to the script, on top of ENV_ALLOW_LIST
+ *    onOutput: function({stream: 'stdout'|'stderr', data: String}) called as the script writes output
+ *    log: false to not write install.log
+ * @returns Promise resolves when the script exits successfully, rejects with InstallScriptError
+ */
+function runInstallScript(analyserDir, options){
+  options = _.assign({}, DEFAULTS, _.omit(options || {}, _.isUndefined));
+  const analyserName = options.analyser || path.basename(analyserDir);
+
+  return new Promise(function(resolve, reject){
+    const log = options.log === false ? null : fs.createWriteStream(path.join(analyserDir, LOG_FILE_NAME));
+    const tail = [''];
+    var timedOut = false;
+    var finished = false;
+    var logError, killTimer;
+
+    const child = os.isPosix()
+      ? spawn('./bin/install', [], {cwd: analyserDir, env: scrubbedEnv(options.allowEnv), detached: true})
+      : spawn(process.env.COMSPEC || 'cmd.exe', ['/d', '/s', '/c', 'bin\\install.cmd'], {cwd: analyserDir, env: scrubbedEnv(options.allowEnv)});
+
+    const timer = setTimeout(function(){
+      timedOut = true;
+      debug(`${analyserDir} bin/install timed out after ${options.timeout}ms`);
+      output('stderr', `\nbin/install timed out after ${options.timeout}ms\n`);
+      kill('SIGTERM');
+      killTimer = setTimeout(function(){
+        kill('SIGKILL');
+      }, KILL_GRACE_PERIOD);
+    }, options.timeout);
+
+    child.stdout.on('data', function(data){
+      output('stdout', data.toString());
+    });
+    child.stderr.on('data', function(data){
+      output('stderr', data.toString());
+    });
+
+    child.on('error', function(err){
+      output('stderr', `${err.message}\n`);
+      finish(null, null);
+    });
+    child.on('close', finish);
+
+    if(log){
+      log.on('error', function(err){
+        debug(`unable to write ${LOG_FILE_NAME} for ${analyserDir}: ${err.message}`);
+        logError = Error(`unable to write ${LOG_FILE_NAME}: ${err.message}`);
+        kill('SIGTERM');
+        finish(null, null);
+      });
+    }
+
+    function output(stream, data){
+      if(log && !logError){
+        log.write(data);
+      }
+      //keep the last lines, the last of which may be incomplete
+      const lines = data.split(/\r?\n/);
+      tail.push(tail.pop() + lines.shift());
+      Array.prototype.push.apply(tail, lines);
+      tail.splice(0, Math.max(0, tail.length - LOG_TAIL_LINES - 1));
+      if(options.onOutput){
+        options.onOutput({stream: stream, data: data});
+      }
+    }
+
+    function kill(signal){
+      try {
+        process.kill(os.isPosix() ? -child.pid : child.pid, signal);  //the whole process group, on posix
+      } catch(e){
+        //already exited
+      }
+    }
+
+    function finish(exitCode, signal){
+      if(finished){
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if(!log || logError){
+        done();
+      } else {
+        log.end(done);
+      }
+
+      function done(){
+        if(exitCode === 0 && !timedOut && !logError){
+          resolve();
+        } else {
+          reject(new InstallScriptError(analyserName, options.version, exitCode, signal, timedOut, _.trimRight(tail.join('\n')), logError));
+        }
+      }
+    }
+  });
+}
+
+function scrubbedEnv(allowEnv){
+  const allowed = _.map(ENV_ALLOW_LIST.concat(allowEnv || []), function(name){
+    return name.toUpperCase();
+  });
+  return _.pick(process.env, function(value, name){
+    return _.includes(allowed, name.toUpperCase());
+  });
+}
@@ -0,0 +1,127 @@
+/**
+ * Checks downloaded files against Subresource Integrity style hashes ('sha512-<base64>'), as used in npm's
+ * dist.integrity. A 40 char hex string is treated as a sha1 shasum.
+ */
+
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+
+const SUPPORTED_ALGORITHMS = ['sha512', 'sha384', 'sha256', 'sha1'];
+
+//Buffer.from only takes an encoding from node 4.5 and 5.10 (before that it is Uint8Array.from)
+const bufferFrom = Buffer.from && Buffer.from !== Uint8Array.from ? Buffer.from : function(string, encoding){
+  return new Buffer(string, encoding);
+};
+
+/**
+ * Parse an integrity string (or shasum) into [{algorithm, digest}], ignoring unsupported algorithms
+ * @param integrity e.g. 'sha512-abc== sha1-def=' or 'a94a8fe5ccb19ba61c4c0873d391e987982fbbd3'
+ * @returns Array
+ */
+exports.parse = function(integrity){
+  if(/^[0-9a-f]{40}$/i.test(integrity)){
+    return [{algorithm: 'sha1', digest: bufferFrom(integrity, 'hex').toString('base64')}];
+  }
+
+  return _.compact(_.map(String(integrity || '').trim().split(/\s+/), function(hash){
+    var match = /^([a-z0-9]+)-([A-Za-z0-9+\/=]+)(\?.*)?$/.exec(hash);
+    if(match && _.includes(SUPPORTED_ALGORITHMS, match[1])){
+      return {algorithm: match[1], digest: match[2]};
+    }
+  }));
+};
+
+/**
+ * @param hash {algorithm, digest} from parse
+ * @returns String the hash's digest as hex
+ */
+exports.toHex = function(hash){
+  return bufferFrom(hash.digest, 'base64').toString('hex');
+};
+
+/**
+ * @param integrity an integrity string or shasum
+ * @returns Object {algorithm, digest} the strongest hash in integrity, or null if it has none we support
+ */
+exports.strongest = function(integrity){
+  var hashes = exports.parse(integrity);
+  var algorithm = _.find(SUPPORTED_ALGORITHMS, function(algorithm){
+    return _.some(hashes, {algorithm: algorithm});
+  });
+  return algorithm ? _.find(hashes, {algorithm: algorithm}) : null;
+};
+
+/**
+ * Check a file against integrity strings. Each integrity string must match - within one string the strongest
+ * algorithm is used, and any of its digests may match. An integrity string with no hash we support (e.g. md5, or a
+ * malformed one) never matches, so a pinned hash can't be bypassed by getting it wrong.
+ * @param file abs path of the file to check
+ * @param integrities Array of integrity strings/shasums, missing ones are ignored
+ * @returns Promise resolves to null if all match, otherwise {expected, actual} for the first mismatch
+ */
+exports.check = function(file, integrities){
+  var expectations = _.map(_.compact(integrities), function(integrity){
+    var hashes = exports.parse(integrity);
+    var strongest = _.find(SUPPORTED_ALGORITHMS, function(algorithm){
+      return _.some(hashes, {algorithm: algorithm});
+    });
+    if(!strongest){
+      return {integrity: integrity, algorithm: SUPPORTED_ALGORITHMS[0], hashes: []};  //reported against our strongest hash
+    }
+    return {integrity: integrity, algorithm: strongest, hashes: _.filter(hashes, {algorithm: strongest})};
+  });
+
+  var algorithms = _.uniq(_.pluck(expectations, 'algorithm'));
+
+  return hashFile(file, algorithms)
+    .then(function(digests){
+      var mismatch = _.find(expectations, function(expectation){
+        return !_.some(expectation.hashes, {digest: digests[expectation.algorithm]});
+      });
+      return mismatch
+        ? {expected: mismatch.integrity, actual: `${mismatch.algorithm}-${digests[mismatch.algorithm]}`}
+        : null;
+    });
+};
+
+/**
+ * @param file abs path of the file to hash
+ * @param algorithm (optional) default sha512
+ * @returns Promise the file's integrity string e.g. 'sha512-<base64>'
+ */
+exports.compute = function(file, algorithm){
+  algorithm = algorithm || 'sha512';
+  return hashFile(file, [algorithm])
+    .then(function(digests){
+      return `${algorithm}-${digests[algorithm]}`;
+    });
+};
+
+/**
+ * @returns Promise {algorithm: base64 digest}
+ */
+function hashFile(file, algorithms){
+  return new Promise(function(resolve, reject){
+    var hashes = _.map(algorithms, function(algorithm){
+      return crypto.createHash(algorithm);
+    });
+
+    var read = fs.createReadStream(file);
+    read.on('data', function(chunk){
+      _.each(hashes, function(hash){
+        hash.update(chunk);
+      });
+    });
+    read.on('end', function(){
+      resolve(_.zipObject(algorithms, _.map(hashes, function(hash){
+        return hash.digest('base64');
+      })));
+    });
+    read.on('error', reject);
+  });
+}
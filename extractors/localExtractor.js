@@ -0,0 +1,152 @@
+/**
+ * Installs an analyser from a directory or .tgz on disk - for developing analysers without publishing them.
+ * The analysers.json entry points at the analyser (relative paths are resolved against the cwd):
+ *   {"registry": "local", "path": "../my-analyser", "link": true, "config": {...}}
+ * The version is read from the analyser's package.json. With "link": true a directory is symlinked into the
+ * install dir instead of copied, so edits are picked up without reinstalling. bin/install then runs in the source
+ * dir itself, and its output is not written to install.log there.
+ */
+
+"use strict";
+const path = require('path');
+const EventEmitter = require('events');
+const inherits = require('util').inherits;
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const jsonWithComments = require('strip-json-comments');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:local');
+
+const analyserDirs = require('../analyserDirs');
+const runInstallScript = require('./installScript');
+const tarball = require('./tarball');
+const RegistryError = require('../errors/RegistryError');
+const VersionNotFoundError = require('../errors/VersionNotFoundError');
+const wrapError = require('../errors').wrap;
+
+const stat = Promise.promisify(fs.stat);
+const readFile = Promise.promisify(fs.readFile);
+const copy = Promise.promisify(fs.copy);
+const symlink = Promise.promisify(fs.symlink);
+const mkdirs = Promise.promisify(fs.mkdirs);
+
+module.exports = exports = LocalExtractor;
+
+/**
+ * @param analyserEntry the analysers.json entry for the analyser {path, link}
+ * @param options (optional) {installScript: {timeout, allowEnv}} see installScript.js
+ * @constructor
+ */
+function LocalExtractor(analyserEntry, options){
+  var self = this;
+
+  EventEmitter.call(self);
+
+  const installScriptOptions = options && options.installScript;
+
+  const sourcePath = analyserEntry && analyserEntry.path ? path.resolve(analyserEntry.path) : null;
+  const link = !!(analyserEntry && analyserEntry.link);
+
+  self.fetch = function(analyser, analyserVersion, analyserInstallDir){
+    var eventData = {'analyser': analyser.name, 'version': analyserVersion, 'canFailCi': analyser.failCiOnError};
+    var newAnalyserDir = path.join(analyserInstallDir, analyserDirs.dirName(analyser.name, analyserVersion));
+    var isTarball;
+
+    self.emit('downloading', eventData);
+    return readSource(analyser.name)
+        .then(function(source){
+          isTarball = source.isTarball;
+          if(analyserVersion !== 'latest' && analyserVersion !== source.version){
+            return Promise.reject(new VersionNotFoundError(analyser.name, analyserVersion,
+                `Invalid version for analyser '${analyser.name}'. '${sourcePath}' is version '${source.version}'`));
+          }
+
+          if(source.isTarball){
+            debug(`unpacking ${sourcePath}`);
+            return mkdirs(newAnalyserDir)
+                .then(function(){
+                  return tarball.unpack(sourcePath, newAnalyserDir);
+                });
+          } else if(link){
+            debug(`linking ${sourcePath}`);
+            return symlink(sourcePath, newAnalyserDir, 'junction'); //junctions don't need admin rights on windows
+          } else {
+            debug(`copying ${sourcePath}`);
+            return copy(sourcePath, newAnalyserDir, {filter: function(file){
+              return path.basename(file) !== '.git';
+            }});
+          }
+        })
+        .then(function(){
+          self.emit('downloaded', eventData);
+          const linked = link && !isTarball;
+          return runInstallScript.forExtractor(self, newAnalyserDir, eventData, _.assign({}, installScriptOptions, {
+                log: !linked  //keep it out of the developer's source tree
+              }))
+              .then(function(){
+                return isTarball ? {tarball: sourcePath} : {};
+              });
+        }, function(err){
+          return doReject(`Unable to install local analyser '${analyser.name}' from '${sourcePath}'`, err);
+        });
+  };
+
+  self.getLatestVersion = function(analyserName){
+    return readSource(analyserName)
+        .then(function(source){
+          return doResolve(source.version);
+        });
+  };
+
+  self.listVersions = function(analyserName){
+    return readSource(analyserName)
+        .then(function(source){
+          return doResolve([source.version]);
+        });
+  };
+
+  /**
+   * Work out what the source is and read its version
+   * @returns Promise {isTarball: Boolean, version: String}
+   */
+  function readSource(analyserName){
+    if(!sourcePath){
+      return Promise.reject(new RegistryError(`No path configured for local analyser '${analyserName}'`, null, null, analyserName));
+    }
+
+    return stat(sourcePath)
+        .then(function(fileStat){
+          if(fileStat.isDirectory()){
+            return readFile(path.join(sourcePath, 'package.json'), {encoding: 'utf8'})
+                .then(function(fileContents){
+                  return {isTarball: false, version: JSON.parse(jsonWithComments(fileContents)).version};
+                });
+          } else {
+            if(link){
+              debug(`cannot link tarball '${sourcePath}', it will be unpacked`);
+            }
+            return tarball.readPackageJson(sourcePath)
+                .then(function(packageJson){
+                  return {isTarball: true, version: packageJson.version};
+                });
+          }
+        })
+        .then(function(source){
+          if(!source.version){
+            return Promise.reject(new RegistryError(`No version in package.json for local analyser '${analyserName}'`, null, null, analyserName));
+          }
+          return source;
+        }, function(err){
+          return doReject(`Unable to read package.json for local analyser '${analyserName}' from '${sourcePath}'`, err);
+        });
+  }
+
+  function doResolve(stuff){
+    return Promise.resolve(stuff);
+  }
+  function doReject(errMsg, err){
+    return Promise.reject(wrapError(errMsg, err));
+  }
+}
+inherits(LocalExtractor, EventEmitter);
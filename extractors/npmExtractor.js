@@ -1,32 +1,68 @@
 /**
- * Downloads and installs an analyser from npm
+ * Downloads and installs an analyser from npm, or a private registry.
+ * The registry comes from the entry's npmRegistry, the registry for the analyser's scope or the default registry,
+ * and credentials for it are sent with the metadata and tarball requests (see npmrc.js):
+ *   {"registry": "npm", "npmRegistry": "https://npm.ourco.com/", "config": {...}}
+ * Tarballs are checked against the registry's dist.integrity/dist.shasum, and against any hashes pinned in the
+ * analysers.json entry by version before being unpacked:
+ *   {"registry": "npm", "integrity": {"1.0.5": "sha512-..."}, "config": {...}}
+ * Verified tarballs are kept in the tarball cache (see tarballCache.js), which is checked before downloading -
+ * emitting 'cacheHit' or 'cacheMiss'.
  */
 
 "use strict";
-const fs = require('fs');
+const fs = require('fs-extra');
 const path = require('path');
 const EventEmitter = require('events');
 const inherits = require('util').inherits;
-const exec = require('child_process').exec;
 
-const tgz = require('tar.gz');
 const Promise = require('bluebird');
 const jsonWithComments = require('strip-json-comments');
-const requestCB = require('request');
+const _ = require('lodash');
 
-const os = require('@sidekick/common/os');
+const analyserDirs = require('../analyserDirs');
+const httpClient = require('../httpClient');
+const runInstallScript = require('./installScript');
+const tarball = require('./tarball');
+const integrity = require('./integrity');
+const tarballCache = require('../tarballCache');
+const npmrc = require('./npmrc');
+const IntegrityError = require('../errors/IntegrityError');
+const NetworkError = require('../errors/NetworkError');
+const RegistryError = require('../errors/RegistryError');
+const VersionNotFoundError = require('../errors/VersionNotFoundError');
+const wrapError = require('../errors').wrap;
 
-const request = Promise.promisify(requestCB);
 const mkdir = Promise.promisify(fs.mkdir);
 const unlink = Promise.promisify(fs.unlink);
+const remove = Promise.promisify(fs.remove);
+const copy = Promise.promisify(fs.copy);
 
 module.exports = exports = NpmExtractor;
 
-function NpmExtractor(){
+/**
+ * @param analyserEntry (optional) the analysers.json entry for the analyser {integrity, npmRegistry}
+ * @param options (optional)
+ *    npm: {npmrc, registry, scopes, authTokens} see npmrc.load
+ *    http: timeout and retry policy for requests, see httpClient.get
+ *    tarballCache: {dir, maxSize} where to cache tarballs - they are always downloaded without a dir
+ *    installScript: {timeout, allowEnv} see installScript.js
+ * @constructor
+ */
+function NpmExtractor(analyserEntry, options){
   var self = this;
 
   EventEmitter.call(self);
 
+  options = options || {};
+  const npmOptions = options.npm;
+  const httpPolicy = options.http;
+  const installScriptOptions = options.installScript;
+  const cacheOptions = options.tarballCache && options.tarballCache.dir ? options.tarballCache : null;
+  const pinnedIntegrity = (analyserEntry && analyserEntry.integrity) || {};
+  const entryRegistry = analyserEntry && analyserEntry.npmRegistry;
+  var haveSettings;
+
   self.fetch = function(analyser, analyserVersion, analyserInstallDir){
     var eventData = {'analyser': analyser.name, 'version': analyserVersion, 'canFailCi': analyser.failCiOnError};
     self.emit('downloading', eventData);
@@ -42,22 +78,38 @@ function NpmExtractor(){
           }
           specificVersionInfo = analyserInfo.versions[versionToInstall];
           if(!specificVersionInfo){
-            return doReject(`Invalid version for analyser '${analyser.name}'. npm does not have version '${versionToInstall}'`);
+            return Promise.reject(new VersionNotFoundError(analyser.name, versionToInstall,
+                `Invalid version for analyser '${analyser.name}'. npm does not have version '${versionToInstall}'`));
           }
 
-          var newAnalyserDir = path.join(analyserInstallDir, `${analyser.name}@${analyserVersion}`);
+          var newAnalyserDir = path.join(analyserInstallDir, analyserDirs.dirName(analyser.name, analyserVersion));
           return mkdir(newAnalyserDir)
               .then(function(){
                 var tarballURL = specificVersionInfo.dist.tarball;
                 var tarballName = resolveTarballName(tarballURL);
                 var tarballFullPath = path.join(newAnalyserDir, tarballName);
 
-                return fetchAnalyserTarball(tarballURL, tarballFullPath)
+                return fetchCachedTarball(tarballURL, tarballFullPath, specificVersionInfo.dist, eventData)
+                    .then(function(){
+                      return verifyTarball(tarballFullPath, specificVersionInfo.dist, analyser.name, versionToInstall)
+                          .catch(function(err){
+                            return remove(newAnalyserDir) //leave no partial install behind
+                                .finally(function(){
+                                  return Promise.reject(err);
+                                });
+                          });
+                    })
+                    .then(function(){
+                      return cacheTarball(tarballFullPath, specificVersionInfo.dist);
+                    })
                     .then(function(){
                       self.emit('downloaded', eventData);
                       return unpack(tarballFullPath, newAnalyserDir)
                           .then(function(){
-                            return install(newAnalyserDir, eventData);
+                            return runInstallScript.forExtractor(self, newAnalyserDir, eventData, installScriptOptions);
+                          })
+                          .then(function(){
+                            return {tarball: tarballURL, integrity: specificVersionInfo.dist.integrity || specificVersionInfo.dist.shasum};
                           })
                     });
               }, function(err) {
@@ -73,19 +125,51 @@ function NpmExtractor(){
         })
   };
 
-  function fetchNpmInfoForAnalyser(analyserName){
-    const NPM_URL = `https://registry.npmjs.org/${analyserName}`;
+  self.listVersions = function(analyserName){
+    return fetchNpmInfoForAnalyser(analyserName)
+        .then(function(analyserInfo){
+          return doResolve(Object.keys(analyserInfo.versions || {}));
+        })
+  };
+
+  self.getDistTags = function(analyserName){
+    return fetchNpmInfoForAnalyser(analyserName)
+        .then(function(analyserInfo){
+          return doResolve(analyserInfo['dist-tags'] || {});
+        })
+  };
 
-    return request(NPM_URL)
+  /**
+   * @returns Promise the npm settings, read once per extractor
+   */
+  function settings(){
+    if(!haveSettings){
+      haveSettings = npmrc.load(npmOptions);
+    }
+    return haveSettings;
+  }
+
+  function fetchNpmInfoForAnalyser(analyserName){
+    var infoURL;
+    return settings()
+        .then(function(npmSettings){
+          const registry = entryRegistry ? entryRegistry.replace(/\/?$/, '/') : npmrc.registryFor(analyserName, npmSettings);
+          infoURL = npmrc.metadataURL(analyserName, registry);
+          return httpClient.get({url: infoURL, headers: npmrc.authHeaders(infoURL, npmSettings)}, httpPolicy);
+        })
         .then(function(response) {
           if(response.statusCode == 200) {
-            self.ALL_ANALYSERS = JSON.parse(jsonWithComments(response.body));
+            try {
+              self.ALL_ANALYSERS = JSON.parse(jsonWithComments(response.body));
+            } catch(err){
+              return Promise.reject(new RegistryError(`Unable to parse analyser info for '${analyserName}'`, null, err, analyserName));
+            }
             return Promise.resolve(self.ALL_ANALYSERS);
           } else {
-            return doReject(`Unable to fetch analyser info for '${analyserName}', status: ${response.statusCode}`);
+            return Promise.reject(new RegistryError(`Unable to fetch analyser info for '${analyserName}'`, response.statusCode, null, analyserName));
           }
         }, function(err){
-          return doReject(`Unable to fetch analyser info for '${analyserName}'`, err);
+          return Promise.reject(new NetworkError(`Unable to fetch analyser info for '${analyserName}'`, infoURL, null, err, analyserName));
         })
   }
 
@@ -94,69 +178,97 @@ function NpmExtractor(){
     return tarballURL.substr(tarballURL.lastIndexOf('/') + 1);
   }
 
-  function fetchAnalyserTarball(tarballURL, installLocation){
-    return new Promise(function(resolve, reject){
-
-      var stream = fs.createWriteStream(installLocation);
-      stream.on('finish', function(){
-        resolve();
-      });
-
-      request
-          .get(tarballURL)
-          .on('error', function(err) {
-            return reject(`Unable to fetch tarball '${tarballURL}'`, err);
-          })
-          .pipe(stream)
-    });
+  /**
+   * Copy a tarball from the cache, or download it if it isn't cached
+   * @returns Promise
+   */
+  function fetchCachedTarball(tarballURL, installLocation, dist, eventData){
+    const distIntegrity = dist.integrity || dist.shasum;
+    if(!cacheOptions || !distIntegrity){
+      return fetchAnalyserTarball(tarballURL, installLocation, eventData);
+    }
+
+    return tarballCache.get(cacheOptions.dir, distIntegrity)
+        .then(function(cached){
+          const cacheEventData = _.assign({}, eventData, {integrity: distIntegrity});
+          if(cached){
+            self.emit('cacheHit', cacheEventData);
+            return copy(cached, installLocation)
+                .catch(function(){
+                  return fetchAnalyserTarball(tarballURL, installLocation, eventData);
+                });
+          }
+          self.emit('cacheMiss', cacheEventData);
+          return fetchAnalyserTarball(tarballURL, installLocation, eventData);
+        });
   }
 
-  function unpack(tarball, analyserDir){
-    var gzipOptions = null;
-    var tarOptions = {"strip": 1};  //remove package dir wrapper
-    return new Promise(function(resolve, reject){
+  /**
+   * Add a verified tarball to the cache (it may already be there)
+   * @returns Promise
+   */
+  function cacheTarball(tarballPath, dist){
+    const distIntegrity = dist.integrity || dist.shasum;
+    if(!cacheOptions || !distIntegrity){
+      return doResolve();
+    }
+    return tarballCache.put(cacheOptions.dir, distIntegrity, tarballPath, cacheOptions.maxSize);
+  }
+
+  /**
+   * Download a tarball, emitting 'progress' with eventData and {received, total, percent} as it arrives.
+   * total and percent are null if the registry doesn't send a Content-Length.
+   */
+  function fetchAnalyserTarball(tarballURL, installLocation, eventData){
+    const analyserName = eventData.analyser;
+    const policy = _.assign({}, httpPolicy, {onProgress: function(progress){
+      self.emit('progress', _.assign({}, eventData, progress, {
+        percent: progress.total ? Math.min(100, Math.floor(progress.received / progress.total * 100)) : null
+      }));
+    }});
 
-      var read = fs.createReadStream(tarball);
-      var write = tgz(gzipOptions, tarOptions).createWriteStream(analyserDir);
+    return settings()
+        .then(function(npmSettings){
+          return httpClient.download({url: tarballURL, headers: npmrc.authHeaders(tarballURL, npmSettings)}, installLocation, policy);
+        })
+        .then(function(response){
+          if(response.statusCode != 200){
+            return Promise.reject(new RegistryError(`Unable to fetch tarball '${tarballURL}' for analyser '${analyserName}'`,
+              response.statusCode, null, analyserName, eventData.version));
+          }
+        }, function(err){
+          return Promise.reject(new NetworkError(`Unable to fetch tarball '${tarballURL}' for analyser '${analyserName}'`,
+            tarballURL, null, err, analyserName, eventData.version));
+        });
+  }
 
-      write.on('finish', function(){
-        unlink(tarball); //remove tarball (don't fail if we cant)
-        resolve();
-      });
-      read.on('error', reject);
-      write.on('error', reject);
+  /**
+   * Check a downloaded tarball against the registry's hashes and any pinned for the version
+   * @returns Promise rejects with IntegrityError on mismatch
+   */
+  function verifyTarball(tarballPath, dist, analyserName, version){
+    var expected = [dist.integrity || dist.shasum, pinnedIntegrity[version]];
 
-      read.pipe(write); //unzip then untar
-    });
+    return integrity.check(tarballPath, expected)
+        .then(function(mismatch){
+          if(mismatch){
+            return Promise.reject(new IntegrityError(analyserName, version, mismatch.expected, mismatch.actual));
+          }
+        });
   }
 
-  function install(analyserDir, eventData){
-    return new Promise(function(resolve, reject){
-      function puts(error, stdout, stderr) {
-        if(error){
-          reject(error);
-        } else {
-          self.emit('installed', eventData);
-          resolve();
-        }
-      }
-
-      self.emit('installing', eventData);
-      var binInstallPath = analyserDir;
-      var cmd = os.isPosix() ? `cd "${binInstallPath}" && ./bin/install` : `cd "${binInstallPath}" && bin\\install.cmd`;
-      exec(cmd, puts); //run bin/install
-    });
+  function unpack(tarballPath, analyserDir){
+    return tarball.unpack(tarballPath, analyserDir)
+        .then(function(){
+          unlink(tarballPath).catch(function(){}); //remove tarball (don't fail if we cant)
+        });
   }
 
   function doResolve(stuff){
     return Promise.resolve(stuff);
   }
   function doReject(errMsg, err){
-    if(err && err.message){
-      return Promise.reject(Error(`${errMsg}\n${err.message}`, err));
-    } else {
-      return Promise.reject(Error(errMsg, err));
-    }
+    return Promise.reject(wrapError(errMsg, err));
   }
 }
 inherits(NpmExtractor, EventEmitter);
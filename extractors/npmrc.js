@@ -0,0 +1,141 @@
+/**
+ * Works out which npm registry to fetch an analyser from, and the credentials to send, from .npmrc files and the
+ * manager's npm options. Settings use the .npmrc keys, so both merge into one map:
+ *   registry=https://npm.example.com/
+ *   @ourco:registry=https://npm.ourco.com/
+ *   //npm.ourco.com/:_authToken=${OURCO_NPM_TOKEN}
+ *   //npm.ourco.com/:_auth=<base64 user:password>
+ * Credentials are keyed by registry URL without the protocol, and are sent for any URL under it - so tarballs
+ * hosted by the registry get them too, but never a tarball on another host.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const url = require('url');
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:npm');
+
+const readFile = Promise.promisify(fs.readFile);
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+exports.DEFAULT_REGISTRY = DEFAULT_REGISTRY;
+
+/**
+ * @returns Array the .npmrc files npm reads - the user's then the project's (in the cwd)
+ */
+exports.defaultFiles = function(){
+  return [path.join(os.homedir(), '.npmrc'), path.resolve('.npmrc')];
+};
+
+/**
+ * Parse the contents of a .npmrc. ${VAR} is replaced with the environment variable VAR.
+ * @param contents
+ * @returns Object {key: value}
+ */
+exports.parse = function(contents){
+  const settings = {};
+  _.each(contents.split(/\r?\n/), function(line){
+    line = line.trim();
+    const eq = line.indexOf('=');
+    if(!line || line[0] === '#' || line[0] === ';' || eq < 1){
+      return;
+    }
+    var value = line.substr(eq + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+    value = value.replace(/\$\{([^}]+)\}/g, function(match, name){
+      return process.env[name] || '';
+    });
+    settings[line.substr(0, eq).trim()] = value;
+  });
+  return settings;
+};
+
+/**
+ * Read the .npmrc files and merge them with the npm options - later files override earlier ones and the options
+ * override them all.
+ * @param options (optional)
+ *    npmrc: path or Array of paths of .npmrc files (default defaultFiles()), missing files are ignored
+ *    registry: the registry for unscoped analysers
+ *    scopes: {'@scope': registry URL}
+ *    authTokens: {registry URL: token}
+ * @returns Promise {key: value} in .npmrc form
+ */
+exports.load = function(options){
+  options = options || {};
+  const files = options.npmrc === undefined ? exports.defaultFiles() : _.flatten([options.npmrc]);
+
+  return Promise.map(files, function(file){
+    return readFile(file, {encoding: 'utf8'})
+      .then(function(contents){
+        debug(`read npm settings from ${file}`);
+        return exports.parse(contents);
+      }, function(){
+        return {};
+      });
+  })
+  .then(function(fromFiles){
+    const settings = _.assign.apply(_, [{}].concat(fromFiles));
+    if(options.registry){
+      settings.registry = options.registry;
+    }
+    _.each(options.scopes, function(registry, scope){
+      settings[`${scope}:registry`] = registry;
+    });
+    _.each(options.authTokens, function(token, registry){
+      settings[`${nerfDart(registry.replace(/\/?$/, '/'))}:_authToken`] = token;
+    });
+    return settings;
+  });
+};
+
+/**
+ * @param analyserName e.g. my-analyser or @ourco/my-analyser
+ * @param settings from load()
+ * @returns String the registry URL for the analyser, ending in '/'
+ */
+exports.registryFor = function(analyserName, settings){
+  const scope = analyserName[0] === '@' ? analyserName.split('/')[0] : null;
+  const registry = (scope && settings[`${scope}:registry`]) || settings.registry || DEFAULT_REGISTRY;
+  return registry.replace(/\/?$/, '/');
+};
+
+/**
+ * @param analyserName e.g. @ourco/my-analyser
+ * @param registry from registryFor()
+ * @returns String the URL of the analyser's metadata
+ */
+exports.metadataURL = function(analyserName, registry){
+  return registry + analyserName.replace('/', '%2f');  //scoped names keep their '@'
+};
+
+/**
+ * @param requestURL a registry or tarball URL
+ * @param settings from load()
+ * @returns Object the headers that authenticate requestURL - empty if there are no credentials for it
+ */
+exports.authHeaders = function(requestURL, settings){
+  //the most specific registry that requestURL is under wins
+  var key = nerfDart(requestURL);
+  while(key.length > 2){
+    if(settings[`${key}:_authToken`]){
+      return {authorization: `Bearer ${settings[`${key}:_authToken`]}`};
+    } else if(settings[`${key}:_auth`]){
+      return {authorization: `Basic ${settings[`${key}:_auth`]}`};
+    }
+    key = key.replace(/[^\/]*\/$/, '');
+  }
+  return {};
+};
+
+/**
+ * npm's name for a URL without its protocol, query or file name: https://npm.ourco.com/npm/x.tgz -> //npm.ourco.com/npm/
+ */
+function nerfDart(registryURL){
+  const parsed = url.parse(registryURL);
+  return `//${parsed.host}${(parsed.pathname || '/').replace(/[^\/]*$/, '')}`;
+}
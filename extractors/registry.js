@@ -0,0 +1,91 @@
+/**
+ * Keeps track of the extractors available to fetch analysers, keyed by the 'registry' property of an
+ * analysers.json entry.
+ *
+ * An extractor is an EventEmitter that implements:
+ *   fetch(analyser, version, installDir)   downloads and installs {name, version, failCiOnError} into
+ *                                          installDir/analyserDirs.dirName(name, version), resolves when
+ *                                          done - optionally to {tarball, integrity} the URL or path it was
+ *                                          installed from and its hash
+ *   getLatestVersion(analyserName)         resolves to the latest version string
+ *   listVersions(analyserName)             resolves to an array of all available version strings
+ * and emits [downloading, downloaded, installing, installed] with {analyser, version, canFailCi}.
+ * While downloading it may emit 'progress' with {analyser, version, canFailCi, received, total, percent}, and
+ * while running bin/install 'installOutput' with {analyser, version, canFailCi, stream, data}.
+ * It may also implement:
+ *   getDistTags(analyserName)              resolves to {tag: version}, e.g. {latest: '1.2.0', next: '2.0.0-beta'}
+ *
+ * A factory is called with the analysers.json entry (and any manager options) and returns a new extractor.
+ */
+
+"use strict";
+
+const _ = require('lodash');
+
+const UnknownRegistryError = require('../errors/UnknownRegistryError');
+
+const REQUIRED_FUNCTIONS = ['fetch', 'getLatestVersion', 'listVersions', 'on', 'emit'];
+
+const factories = {};
+
+/**
+ * Register a factory for a registry type, replacing any existing one.
+ * @param registryName the value of 'registry' in the analysers.json entry, e.g. 'npm'
+ * @param factory function(analyserEntry, options) that returns a new extractor
+ */
+exports.register = function(registryName, factory){
+  if(!registryName || typeof registryName !== 'string'){
+    throw new TypeError('registryName must be a non-empty string');
+  }
+  if(typeof factory !== 'function'){
+    throw new TypeError(`Extractor factory for registry '${registryName}' must be a function`);
+  }
+  factories[registryName] = factory;
+};
+
+/**
+ * Remove a registered factory.
+ * @param registryName
+ */
+exports.unregister = function(registryName){
+  delete factories[registryName];
+};
+
+/**
+ * @param registryName
+ * @returns Boolean
+ */
+exports.has = function(registryName){
+  return _.has(factories, registryName);
+};
+
+/**
+ * @returns Array names of all registered registries
+ */
+exports.registries = function(){
+  return _.keys(factories);
+};
+
+/**
+ * Create an extractor for an analysers.json entry.
+ * @param analyserName the name of the analyser the entry is for
+ * @param analyserEntry the analysers.json entry {registry, config, ...}
+ * @param options (optional) passed through to the factory
+ * @returns extractor
+ * @throws UnknownRegistryError if no factory is registered for the entry's registry
+ */
+exports.create = function(analyserName, analyserEntry, options){
+  const registryName = analyserEntry && analyserEntry.registry;
+  if(!exports.has(registryName)){
+    throw new UnknownRegistryError(registryName, analyserName);
+  }
+
+  const extractor = factories[registryName](analyserEntry, options);
+  const missing = _.filter(REQUIRED_FUNCTIONS, function(fnName){
+    return !extractor || typeof extractor[fnName] !== 'function';
+  });
+  if(missing.length > 0){
+    throw new TypeError(`Extractor for registry '${registryName}' does not implement: ${missing.join(', ')}`);
+  }
+  return extractor;
+};
@@ -0,0 +1,94 @@
+/**
+ * Helpers for npm style package tarballs (.tgz with a single top level package dir)
+ */
+
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const tgz = require('tar.gz');
+const Promise = require('bluebird');
+const jsonWithComments = require('strip-json-comments');
+
+const AnalyserManagerError = require('../errors/AnalyserManagerError');
+const ConfigParseError = require('../errors/ConfigParseError');
+
+/**
+ * Unpack a tarball into a dir, removing the package dir wrapper
+ * @param tarball abs path of the .tgz
+ * @param analyserDir abs path of the dir to unpack into
+ * @returns Promise
+ */
+exports.unpack = function(tarball, analyserDir){
+  var gzipOptions = null;
+  var tarOptions = {"strip": 1};  //remove package dir wrapper
+  return new Promise(function(resolve, reject){
+
+    var read = fs.createReadStream(tarball);
+    var write = tgz(gzipOptions, tarOptions).createWriteStream(analyserDir);
+
+    write.on('finish', resolve);
+    read.on('error', reject);
+    write.on('error', reject);
+
+    read.pipe(write); //unzip then untar
+  });
+};
+
+/**
+ * Read the package.json inside a tarball without unpacking it
+ * @param tarball abs path of the .tgz
+ * @returns Promise parsed package.json
+ */
+exports.readPackageJson = function(tarball){
+  return new Promise(function(resolve, reject){
+    var contents = null;
+
+    var read = fs.createReadStream(tarball);
+    var parse = tgz().createParseStream();
+
+    parse.on('entry', function(entry){
+      if(/^[^\/]+\/package\.json$/.test(entry.path)){
+        contents = '';
+        entry.on('data', function(chunk){
+          contents += chunk.toString();
+        });
+      }
+    });
+    parse.on('end', function(){
+      if(contents === null){
+        return reject(new AnalyserManagerError(null, `No package.json found in '${tarball}'`));
+      }
+      try {
+        resolve(JSON.parse(jsonWithComments(contents)));
+      } catch(err){
+        reject(new ConfigParseError(path.join(tarball, 'package.json'), err));
+      }
+    });
+    read.on('error', reject);
+    parse.on('error', reject);
+
+    read.pipe(parse);
+  });
+};
+
+/**
+ * Pack a dir into a tarball, with the dir as the single top level dir (so unpack gives back its contents)
+ * @param dir abs path of the dir to pack
+ * @param tarball abs path of the .tgz to write
+ * @returns Promise
+ */
+exports.pack = function(dir, tarball){
+  return new Promise(function(resolve, reject){
+
+    var read = tgz().createReadStream(dir);
+    var write = fs.createWriteStream(tarball);
+
+    write.on('finish', resolve);
+    read.on('error', reject);
+    write.on('error', reject);
+
+    read.pipe(write); //tar then zip
+  });
+};
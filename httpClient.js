@@ -0,0 +1,231 @@
+/**
+ * The one place network requests are made from - fetching analyser lists, npm metadata and tarballs.
+ * Requests go through the proxy option or a proxy from HTTP_PROXY/HTTPS_PROXY, unless the host is in NO_PROXY. They
+ * time out if connecting takes longer than connectTimeout or the response stalls for longer than readTimeout, and
+ * are retried with exponential backoff when they fail with a network error or a status that may be transient.
+ */
+
+"use strict";
+
+const fs = require('fs');
+const url = require('url');
+
+const Promise = require('bluebird');
+const request = require('request');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:http');
+
+const DEFAULTS = {
+  connectTimeout: 30 * 1000,
+  readTimeout: 60 * 1000,
+  retries: 3,
+  minDelay: 500,
+  maxDelay: 10 * 1000
+};
+
+const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRY_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+
+exports.DEFAULTS = DEFAULTS;
+
+/**
+ * Make a request and read the whole response.
+ * @param requestOptions url string, or options for request e.g. {url, headers}
+ * @param policy (optional)
+ *    connectTimeout: ms to wait for the response to start
+ *    readTimeout: ms to wait for more of the response once it has started
+ *    retries: number of times to retry a transient failure
+ *    minDelay, maxDelay: ms to wait before the first retry, doubling each retry up to maxDelay
+ *    proxy: proxy URL for requests to hosts not in NO_PROXY, instead of HTTP_PROXY/HTTPS_PROXY
+ *    onRetry: function({url, attempt, retries, delay, error}) called before each retry
+ * @returns Promise the response, with the body as a string - rejects if the request fails after all retries
+ */
+exports.get = function(requestOptions, policy){
+  policy = withDefaults(policy);
+  return withRetries(requestOptions, policy, function(){
+    return send(requestOptions, policy);
+  });
+};
+
+/**
+ * Make a request and save a successful (200) response body to file, replacing it.
+ * @param requestOptions url string, or options for request e.g. {url, headers}
+ * @param file abs path to save to
+ * @param policy (optional) see get, plus
+ *    onProgress: function({received, total}) called as the file is written - total is the Content-Length, or null
+ *                if the response has none. A retried download starts again from 0.
+ * @returns Promise the response - the file is only written if its statusCode is 200
+ */
+exports.download = function(requestOptions, file, policy){
+  policy = withDefaults(policy);
+  return withRetries(requestOptions, policy, function(){
+    return send(requestOptions, policy, file);
+  });
+};
+
+/**
+ * The proxy to send a request through. NO_PROXY is a comma separated list of hosts (matching subdomains too), each
+ * optionally with a :port, or '*' for every host.
+ * @param requestURL
+ * @param proxy (optional) proxy URL to use instead of HTTP_PROXY/HTTPS_PROXY
+ * @returns String proxy URL, or null to connect directly
+ */
+exports.proxyFor = function(requestURL, proxy){
+  const target = url.parse(requestURL);
+  const noProxy = process.env.NO_PROXY || process.env.no_proxy || '';
+  if(!target.hostname || isInNoProxy(target, noProxy)){
+    return null;
+  }
+  if(proxy){
+    return proxy;
+  }
+  if(target.protocol === 'https:'){
+    return process.env.HTTPS_PROXY || process.env.https_proxy || process.env.HTTP_PROXY || process.env.http_proxy || null;
+  }
+  return process.env.HTTP_PROXY || process.env.http_proxy || null;
+};
+
+/**
+ * @returns Boolean true if a failed request may succeed if retried
+ */
+exports.isTransient = function(err){
+  return !!err && _.includes(RETRY_ERROR_CODES, err.code);
+};
+
+function isInNoProxy(target, noProxy){
+  const hostname = target.hostname.toLowerCase();
+  const port = target.port || (target.protocol === 'https:' ? '443' : '80');
+
+  return _.some(noProxy.split(','), function(entry){
+    const parts = entry.trim().toLowerCase().split(':');
+    if(parts[0] === '*'){
+      return true;
+    }
+    const host = parts[0].replace(/^\*?\./, '');  //.ourco.com and *.ourco.com match the same hosts as ourco.com
+    if(!host || (parts[1] && parts[1] !== port)){
+      return false;
+    }
+    return hostname === host || _.endsWith(hostname, `.${host}`);
+  });
+}
+
+function withDefaults(policy){
+  return _.assign({}, DEFAULTS, _.omit(policy || {}, _.isUndefined));
+}
+
+function withRetries(requestOptions, policy, sendOnce){
+  const url = _.isString(requestOptions) ? requestOptions : requestOptions.url;
+  var attempt = 0;
+
+  return tryOnce();
+
+  function tryOnce(){
+    attempt++;
+    return sendOnce()
+      .then(function(response){
+        if(_.includes(RETRY_STATUSES, response.statusCode) && attempt <= policy.retries){
+          return retry(Error(`status: ${response.statusCode}`));
+        }
+        return response;
+      }, function(err){
+        if(exports.isTransient(err) && attempt <= policy.retries){
+          return retry(err);
+        }
+        return Promise.reject(err);
+      });
+  }
+
+  function retry(reason){
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(2, attempt - 1));
+    debug(`retrying ${url} in ${delay}ms (${attempt}/${policy.retries}): ${reason.message}`);
+    if(policy.onRetry){
+      policy.onRetry({url: url, attempt: attempt, retries: policy.retries, delay: delay, error: reason});
+    }
+    return Promise.delay(delay).then(tryOnce);
+  }
+}
+
+function send(requestOptions, policy, file){
+  requestOptions = _.isString(requestOptions) ? {url: requestOptions} : requestOptions;
+  requestOptions = _.assign({proxy: exports.proxyFor(requestOptions.url, policy.proxy)}, requestOptions);
+
+  return new Promise(function(resolve, reject){
+    var settled = false;
+    var readTimer, out;
+    var connectTimer = setTimeout(function(){
+      fail(timeoutError('ETIMEDOUT', `Timed out connecting to '${requestOptions.url}'`));
+    }, policy.connectTimeout);
+
+    const req = request(requestOptions);
+    req.on('error', fail);
+    req.on('response', function(response){
+      clearTimeout(connectTimer);
+      resetReadTimer();
+
+      const chunks = [];
+      const total = response.headers['content-length'] ? parseInt(response.headers['content-length'], 10) : null;
+      var received = 0;
+      if(file && response.statusCode == 200){
+        out = fs.createWriteStream(file);
+        out.on('error', fail);
+      }
+
+      req.on('data', function(chunk){
+        resetReadTimer();
+        if(out){
+          out.write(chunk);
+          received += chunk.length;
+          if(policy.onProgress){
+            policy.onProgress({received: received, total: total});
+          }
+        } else {
+          chunks.push(chunk);
+        }
+      });
+      req.on('end', function(){
+        clearTimeout(readTimer);
+        if(out){
+          out.end(function(){
+            succeed(response);
+          });
+        } else {
+          response.body = Buffer.concat(chunks).toString('utf8');
+          succeed(response);
+        }
+      });
+    });
+
+    function resetReadTimer(){
+      clearTimeout(readTimer);
+      readTimer = setTimeout(function(){
+        fail(timeoutError('ESOCKETTIMEDOUT', `Timed out reading from '${requestOptions.url}'`));
+      }, policy.readTimeout);
+    }
+
+    function succeed(response){
+      if(!settled){
+        settled = true;
+        resolve(response);
+      }
+    }
+
+    function fail(err){
+      clearTimeout(connectTimer);
+      clearTimeout(readTimer);
+      if(!settled){
+        settled = true;
+        req.abort();
+        if(out){
+          out.end();
+        }
+        reject(err);
+      }
+    }
+  });
+}
+
+function timeoutError(code, message){
+  const err = Error(message);
+  err.code = code;
+  return err;
+}
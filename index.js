@@ -1,6 +1,6 @@
 /**
  * Used to fetch a Sidekick analyser from a registry and install it.
- * Emits events if downloading [downloading, downloaded, installed]
+ * Emits events if downloading [downloading, progress, downloaded, installed]
  */
 
 "use strict";
@@ -14,34 +14,141 @@ const inherits = require('util').inherits;
 
 const Promise = require('bluebird');
 const jsonWithComments = require('strip-json-comments');
-const requestCB = require('request');
 const semver = require('semver');
 const _ = require('lodash');
 const debug = require('debug')('analyser-manager');
 
+const analyserList = require('./analyserList');
+const listCache = require('./listCache');
+const analyserDirs = require('./analyserDirs');
+const configValidation = require('./configValidation');
+const installMarkers = require('./installMarkers');
+const installLock = require('./installLock');
+const analyserLockfile = require('./analyserLockfile');
+const analyserBundle = require('./analyserBundle');
+const httpClient = require('./httpClient');
+const tarballCache = require('./tarballCache');
+const diskUsage = require('./diskUsage');
+const integrity = require('./extractors/integrity');
+const npmrc = require('./extractors/npmrc');
 const npmExtractor = require('./extractors/npmExtractor');
+const GitExtractor = require('./extractors/gitExtractor');
+const LocalExtractor = require('./extractors/localExtractor');
+const extractorRegistry = require('./extractors/registry');
 const UnknownAnalyserError = require('./errors/UnknownAnalyserError');
+const OfflineError = require('./errors/OfflineError');
+const BatchInstallError = require('./errors/BatchInstallError');
+const AnalyserInUseError = require('./errors/AnalyserInUseError');
+const InvalidAnalyserConfigError = require('./errors/InvalidAnalyserConfigError');
+const IntegrityError = require('./errors/IntegrityError');
+const VersionNotFoundError = require('./errors/VersionNotFoundError');
+const ConfigParseError = require('./errors/ConfigParseError');
+const PermissionError = require('./errors/PermissionError');
+const LockMismatchError = require('./errors/LockMismatchError');
+const AnalyserNotInstalledError = require('./errors/AnalyserNotInstalledError');
+const NetworkError = require('./errors/NetworkError');
+const RegistryError = require('./errors/RegistryError');
+const errors = require('./errors');
+const wrapError = errors.wrap;
 
 const exists = Promise.promisify(fs.stat);
 const remove = Promise.promisify(fs.remove);
 const canAccess = Promise.promisify(fs.access);
 const readFile = Promise.promisify(fs.readFile);
 const mkdirs = Promise.promisify(fs.mkdirs);
-const request = Promise.promisify(requestCB);
+const rename = Promise.promisify(fs.rename);
+const copy = Promise.promisify(fs.copy);
+const readdir = Promise.promisify(fs.readdir);
 
 module.exports = exports = AnalyserManager;
 
+const DEFAULT_LIST_CACHE_TTL = 60 * 60 * 1000;
+const DEFAULT_INSTALL_CONCURRENCY = 4;
+const SIDEKICKRC_FILE_NAME = '.sidekickrc';
+const UPDATE_TYPES = ['patch', 'minor', 'major'];  //smallest first
+const REINSTALLABLE_PROBLEMS = ['incompleteInstall', 'notInstalled', 'missingFile', 'invalidConfig', 'versionMismatch'];
+
+//installs in progress in this process, by abs path of the analyser dir
+const installsInFlight = {};
+
+/**
+ * Register an extractor factory so that analysers.json entries with {"registry": registryName} can be installed.
+ * See extractors/registry.js for the interface an extractor must implement.
+ * @param registryName e.g. 'npm'
+ * @param factory function(analyserEntry, options) that returns a new extractor
+ */
+AnalyserManager.registerExtractor = function(registryName, factory){
+  extractorRegistry.register(registryName, factory);
+};
+
+/**
+ * Remove a registered extractor factory, e.g. one registered for a test.
+ * @param registryName e.g. 'npm'
+ */
+AnalyserManager.unregisterExtractor = function(registryName){
+  extractorRegistry.unregister(registryName);
+};
+
+/**
+ * The error classes the manager rejects with, by name - every one has a stable code (see errors/AnalyserManagerError.js)
+ */
+AnalyserManager.errors = errors;
+
+AnalyserManager.registerExtractor('npm', function(analyserEntry, options){
+  return new npmExtractor(analyserEntry, options);
+});
+AnalyserManager.registerExtractor('git', function(analyserEntry, options){
+  return new GitExtractor(analyserEntry, options);
+});
+AnalyserManager.registerExtractor('local', function(analyserEntry, options){
+  return new LocalExtractor(analyserEntry, options);
+});
+
 /**
  * Create instance
  * @param analyserInstallLocation where to install the analysers to (absolute path)
+ * @param options (optional)
+ *    sources: ordered Array of analyser list sources, later sources override earlier ones (see analyserList.js).
+ *             Defaults to the central Sidekick list.
+ *    listCacheTTL: ms to serve the analyser list cached in the install dir before fetching it again (default 1 hour).
+ *                  The cached list is always used when fetching fails.
+ *    offline: never use the network - the cached analyser list is used and only installed analysers are available.
+ *    lock: {stale, timeout, retryInterval} ms settings for the per analyser@version install lock (see installLock.js).
+ *    npm: {npmrc, registry, scopes, authTokens} where to install npm analysers from and the credentials to use,
+ *         on top of those in the .npmrc files (see extractors/npmrc.js).
+ *    http: {connectTimeout, readTimeout, retries, minDelay, maxDelay, proxy} for all network requests
+ *          (see httpClient.js). Emits 'retrying' with {url, attempt, retries, delay, error} before each retry.
+ *    tarballCache: {dir, maxSize} the tarball cache shared by install dirs (default ~/.sidekick/tarball-cache, or
+ *                  <install dir>/.tarball-cache if that can't be written, 500MB - see tarballCache.js), or false to
+ *                  always download tarballs.
+ *    installScript: {timeout, allowEnv} how long analysers' bin/install may run (default 10 minutes) and the
+ *                   environment variables passed to it on top of the defaults (see extractors/installScript.js).
+ *                   Emits 'installOutput' with {analyser, version, stream, data} as it runs.
+ *    lockfile: abs path of the analyser lockfile to honour and keep up to date (see analyserLockfile.js), so every
+ *              machine installs the same versions - e.g. next to the project's .sidekickrc.
  * @constructor
  */
-function AnalyserManager(analyserInstallLocation){
+function AnalyserManager(analyserInstallLocation, options){
   var self = this;
 
   EventEmitter.call(self);
 
+  options = options || {};
+
   self.ANALYSER_INSTALL_DIR = analyserInstallLocation;
+  self.ANALYSER_LIST_SOURCES = options.sources || analyserList.DEFAULT_SOURCES;
+  self.LIST_CACHE_TTL = options.listCacheTTL !== undefined ? options.listCacheTTL : DEFAULT_LIST_CACHE_TTL;
+  self.OFFLINE = !!options.offline;
+  self.LOCK_OPTIONS = _.assign({}, installLock.DEFAULTS, options.lock);
+  self.NPM_OPTIONS = options.npm;
+  self.INSTALL_SCRIPT_OPTIONS = options.installScript;
+  self.LOCKFILE = options.lockfile;
+  self.TARBALL_CACHE = options.tarballCache === false
+    ? false
+    : _.assign({dir: tarballCache.defaultDir(analyserInstallLocation), maxSize: tarballCache.DEFAULT_MAX_SIZE}, options.tarballCache);
+  self.HTTP_POLICY = _.assign({}, httpClient.DEFAULTS, options.http, {onRetry: function(retry){
+    self.emit('retrying', retry);
+  }});
   self.ALL_ANALYSERS = null;
 
   /**
@@ -55,74 +162,91 @@ function AnalyserManager(analyserInstallLocation){
         return canWrite(self.ANALYSER_INSTALL_DIR)
           .then(function(){
             debug('install dir writeable');
-            return self.fetchAnalyserList();
+            return initAnalyserList();
           })
         },
         function(){
           debug('install dir does not exists');
           return mkdirs(self.ANALYSER_INSTALL_DIR)  //mkdirs === mkdir -p so hierarchy also gets created
+            .catch(function(cantMakeDirErr){
+              return Promise.reject(new PermissionError(`Unable to create sidekick analyser directory: ${self.ANALYSER_INSTALL_DIR}`, self.ANALYSER_INSTALL_DIR, cantMakeDirErr));
+            })
             .then(function(){
               debug('install dir now exists');
               return canWrite(self.ANALYSER_INSTALL_DIR)
                 .then(function(){
                   debug('install dir now writeable');
-                  return self.fetchAnalyserList();
+                  return initAnalyserList();
                 })
             })
-            .catch(function(cantMakeDirErr){
-              return doReject(`Unable to create sidekick analyser directory: ${self.ANALYSER_INSTALL_DIR}`, cantMakeDirErr);
-            })
         }
       );
 
+    function initAnalyserList(){
+      return self.fetchAnalyserList()
+        .catch(function(err){
+          if(self.OFFLINE){
+            debug('no analyser list available offline');  //can still use installed analysers
+            return doResolve();
+          }
+          return Promise.reject(err);
+        });
+    }
+
     function canWrite(dir){
       return canAccess(dir, fs.W_OK)
         .then(function(){
           return doResolve();
         })
         .catch(function(err){
-          return doReject('Unable to write to sidekick analyser directory', err);
+          return Promise.reject(new PermissionError('Unable to write to sidekick analyser directory', dir, err));
         })
     }
   };
   
 
   /**
-   * Fetch a list of all the analysers that Sidekick supports
+   * Fetch a list of all the analysers that Sidekick supports, merged from all the analyser list sources.
+   * Each entry has a 'source' property naming the source it came from.
+   * The list is cached in the install dir: it is served from there within LIST_CACHE_TTL, when the sources
+   * cannot be fetched (emitting 'listCacheFallback') and when offline.
    * @returns {bluebird|exports|module.exports}
    */
   self.fetchAnalyserList = function(){
-    const REPO_SLUG = "sidekickcode/analysers/master/analysers.json";
-    const RAWGIT_SK_CENTRAL_ANALYSER_LIST_URL = 'https://cdn.rawgit.com/' + REPO_SLUG;
-    const SK_CENTRAL_ANALYSER_LIST_URL = 'https://raw.githubusercontent.com/' + REPO_SLUG;
-
-    return fetchList(RAWGIT_SK_CENTRAL_ANALYSER_LIST_URL)
-      .then((allAnalysers) => {
-        debug('have analysers list from rawgit: ');
-        self.ALL_ANALYSERS = allAnalysers;
-        return doResolve(self.ALL_ANALYSERS);
-      }, () => {  //.error() didn't work - weird
-        return fetchList(SK_CENTRAL_ANALYSER_LIST_URL)
+    const cacheKey = listCache.keyFor(self.ANALYSER_LIST_SOURCES);
+
+    return listCache.read(self.ANALYSER_INSTALL_DIR, cacheKey)
+      .then((cache) => {
+        if(cache && (self.OFFLINE || Date.now() - cache.fetchedAt < self.LIST_CACHE_TTL)){
+          debug('using cached analysers list');
+          return haveList(cache.analysers);
+        }
+        if(self.OFFLINE){
+          return Promise.reject(new OfflineError('No cached list of analysers available'));
+        }
+
+        const httpCache = cache && cache.http ? cache.http : {};
+        return analyserList.fetchAll(self.ANALYSER_LIST_SOURCES, httpCache, self.HTTP_POLICY)
           .then((allAnalysers) => {
-            debug('have analysers list from github: ');
-            self.ALL_ANALYSERS = allAnalysers;
-            return doResolve(self.ALL_ANALYSERS);
+            debug('have analysers list');
+            return listCache.write(self.ANALYSER_INSTALL_DIR, cacheKey, allAnalysers, httpCache)
+              .then(() => {
+                return haveList(allAnalysers);
+              });
+          }, (err) => {
+            if(cache){
+              debug('error fetching analyser list, using cached list');
+              self.emit('listCacheFallback', {fetchedAt: cache.fetchedAt, error: err});
+              return haveList(cache.analysers);
+            }
+            debug('error fetching analyser list');
+            return doReject('Unable to fetch list of analysers', err);
           });
       });
 
-    function fetchList(URL){
-      return request(URL)
-        .then(function(response) {
-          if(response.statusCode == 200) {
-            return JSON.parse(jsonWithComments(response.body));
-          } else {
-            debug('analyser list unavailable: ' + JSON.stringify(response, null, 4));
-            return doReject('Unable to fetch list of analysers');
-          }
-        }, function(err){
-          debug('error fetching analyser list');
-          return doReject('Unable to fetch list of analysers', err);
-        })
+    function haveList(allAnalysers){
+      self.ALL_ANALYSERS = allAnalysers;
+      return doResolve(self.ALL_ANALYSERS);
     }
   };
 
@@ -146,7 +270,7 @@ function AnalyserManager(analyserInstallLocation){
       if (analyserConfig) {
         return doResolve(analyserConfig);
       } else {
-        return doReject(`Unknown analyser '${analyserName}'`);
+        return Promise.reject(new UnknownAnalyserError(analyserName));
       }
     }
 
@@ -157,19 +281,31 @@ function AnalyserManager(analyserInstallLocation){
    * Will install the analyser for a registry if not found on the local install.
    * If no version specified and the analyser does not exist locally, it will install the latest version.
    * @param analyserName the name of the analyser to fetch the config for
-   * @param version (optional) the specific version of the analyser to return data for.
-   * @returns Promise {path: [abs path to analyser], config: [analyser config]}
+   * @param version (optional) the specific version of the analyser to return data for, or a semver range which
+   *                resolves to the highest installed version that satisfies it. Defaults to the latest installed.
+   * @returns Promise {path: [abs path to analyser], config: [analyser config]} - rejects with
+   *          AnalyserNotInstalledError if the version is not installed, or did not finish installing
    */
   self.fetchAnalyser = function(analyserName, version){
-    var pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, `${analyserName}@${version}`);
+    version = resolveInstalledVersion(analyserName, version) || version;
+    var dirName = analyserDirs.dirName(analyserName, version);
+    var pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, dirName);
 
     return exists(pathToAnalyser)
       .then(function(fileStat){
+        if(!installMarkers.isComplete(self.ANALYSER_INSTALL_DIR, dirName)){
+          return Promise.reject(new AnalyserNotInstalledError(analyserName, version,
+            `Unable to fetch config for analyser '${analyserName}', '${dirName}' did not finish installing`));
+        }
         return readAnalyserConfig(pathToAnalyser)
           .then(function(configObj){
             return doResolve({path: pathToAnalyser, config: configObj});
           });
       }, function(err){
+        if(err.code === 'ENOENT'){
+          return Promise.reject(new AnalyserNotInstalledError(analyserName, version,
+            `Unable to fetch config for analyser '${analyserName}', '${dirName}' is not installed`, err));
+        }
         return doReject(`Unable to fetch config for analyser '${analyserName}'`, err);
       })
   };
@@ -177,54 +313,227 @@ function AnalyserManager(analyserInstallLocation){
   /**
    * Install the analyser from a registry.
    * If the analyser already exists locally (same version) then we just return the config.
+   * The config returned is always the installed config.json, as returned by fetchAnalyser - not the config in the
+   * list of analysers (see fetchCanonicalAnalyserConfig, and verifyAnalyser to compare them).
+   * A local install that did not complete is replaced.
+   * Installs of the same analyser@version are serialised across processes by a lock file, and concurrent calls in
+   * this process share one install. Emits 'waitingForLock' if another process is installing it.
    * If no version specified it will install the latest version.
+   * The version can also be a semver range or dist-tag (see resolveVersion).
+   * With a lockfile, the locked version is installed when no version, 'latest' or a range it satisfies is asked for -
+   * otherwise the version asked for is installed and locked in its place. A locked version is only installed from the
+   * locked registry, tarball and integrity - rejecting with LockMismatchError or IntegrityError if they have changed.
    * @param analyser {name, version} the name of the analyser to fetch the config for
    * @param force (optional) override the existing analysers found in the install location.
+   * When offline only already installed analysers resolve (the latest installed version if no version specified).
    * @returns Promise {path: [abs path to analyser], config: [analyser config]}
    */
   self.installAnalyser = function(analyser, force){
+    if(!self.LOCKFILE){
+      return installVersion(analyser, force);
+    }
+
+    return analyserLockfile.read(self.LOCKFILE)
+      .then(function(lock){
+        return installVersion(withLockedVersion(analyser, lock.analysers[analyser.name]), force);
+      })
+      .then(function(installed){
+        return lockInstalled(analyser.name, installed)
+          .return(installed);
+      });
+  };
+
+  /**
+   * Re-resolve the latest version of locked analysers, install it and lock it. An analyser that fails to install
+   * keeps its existing lock entry.
+   * @param analyserNames (optional) the analysers to refresh, default all in the lockfile
+   * @param options (optional) {concurrency: max installs at once (default 4)}
+   * @returns Promise Array of {name, from, to, status: updated|unchanged|failed, error}
+   */
+  self.refreshLock = function(analyserNames, options){
+    if(!self.LOCKFILE){
+      return doReject('Unable to refresh the analyser lock, no lockfile is configured');
+    }
+    options = _.assign({concurrency: DEFAULT_INSTALL_CONCURRENCY}, options);
+
+    return analyserLockfile.read(self.LOCKFILE)
+      .then(function(lock){
+        return Promise.map(analyserNames || _.keys(lock.analysers), function(analyserName){
+          const from = lock.analysers[analyserName] ? lock.analysers[analyserName].version : null;
+
+          return installVersion({name: analyserName, version: 'latest'})
+            .then(function(installed){
+              return lockInstalled(analyserName, installed)
+                .then(function(){
+                  const to = analyserDirs.parse(path.basename(installed.path)).version;
+                  return {name: analyserName, from: from, to: to, status: to === from ? 'unchanged' : 'updated'};
+                });
+            }, function(err){
+              debug(`unable to refresh lock for ${analyserName}: ${err.message}`);
+              return {name: analyserName, from: from, to: null, status: 'failed', error: err};
+            });
+        }, {concurrency: options.concurrency});
+      });
+  };
+
+  /**
+   * installAnalyser without the lockfile
+   */
+  function installVersion(analyser, force){
+    if(self.OFFLINE){
+      return resolveInstalledAnalyser(analyser, force);
+    }
+
     var haveVersion;
     if(!analyser.version || analyser.version === 'latest'){
       haveVersion = self.isNewerVersionAvailable(analyser.name);
-    } else {
+    } else if(semver.valid(analyser.version)){
       haveVersion = Promise.resolve({"latest": analyser.version});
+    } else {
+      haveVersion = self.resolveVersion(analyser.name, analyser.version)
+        .then(function(version){
+          return {"latest": version};
+        });
     }
 
     return haveVersion.then(function(version){
       var versionToInstall = version.latest;
-      var pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, `${analyser.name}@${versionToInstall}`);
-
-      return exists(pathToAnalyser) //checks for specific version
-        .then(function(fileStat) {
-              if(force){
-                return remove(pathToAnalyser)
-                    .then(() => {
-                      return _installAnalyser(analyser, versionToInstall)
-                          .then(function (configObj) {
-                            return doResolve({path: pathToAnalyser, config: configObj});
-                          });
-                    })
-              } else {
-                return readAnalyserConfig(pathToAnalyser)
-                    .then(function (configObj) {
-                      return doResolve({path: pathToAnalyser, config: configObj});
-                    });
-              }
-            },
-            function(err){
-              if(err.code === 'ENOENT'){
-                //no specific version dir or @latest dir
-                return _installAnalyser(analyser, versionToInstall)
-                    .then(function(configObj){
-                      return doResolve({path: pathToAnalyser, config: configObj});
-                    });
-              } else {
-                return doReject('Cannot read analyser install dir', err);
+      var dirName = analyserDirs.dirName(analyser.name, versionToInstall);
+      var pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, dirName);
+
+      if(!installsInFlight[pathToAnalyser]){
+        var lockOptions = _.assign({}, self.LOCK_OPTIONS, {onWait: function(holder){
+          debug(`waiting for ${dirName} to be installed by ${JSON.stringify(holder)}`);
+          self.emit('waitingForLock', {analyser: analyser.name, version: versionToInstall, holder: holder});
+        }});
+
+        installsInFlight[pathToAnalyser] = installLock.withLock(self.ANALYSER_INSTALL_DIR, dirName, lockOptions, installIfNeeded)
+          .finally(function(){
+            delete installsInFlight[pathToAnalyser];
+          });
+      }
+      return installsInFlight[pathToAnalyser];
+
+      function installIfNeeded(){
+        return exists(pathToAnalyser) //checks for specific version
+          .then(function(fileStat) {
+                if(force || !installMarkers.isComplete(self.ANALYSER_INSTALL_DIR, dirName)){
+                  debug(`${force ? 'forcing reinstall of' : 'replacing incomplete install of'} ${dirName}`);
+                  return _installAnalyser(analyser, versionToInstall)  //only replaces the existing dir on success
+                      .then(function (configObj) {
+                        return doResolve({path: pathToAnalyser, config: configObj});
+                      });
+                } else {
+                  return readAnalyserConfig(pathToAnalyser)
+                      .then(function (configObj) {
+                        return doResolve({path: pathToAnalyser, config: configObj});
+                      });
+                }
+              },
+              function(err){
+                if(err.code === 'ENOENT'){
+                  //no specific version dir or @latest dir
+                  return _installAnalyser(analyser, versionToInstall)
+                      .then(function(configObj){
+                        return doResolve({path: pathToAnalyser, config: configObj});
+                      });
+                } else {
+                  return doReject('Cannot read analyser install dir', err);
+                }
               }
-            }
-        )
+          );
+      }
+    });
+  }
+
+  /**
+   * Check an installed analyser for drift from its own package.json and from the list of analysers.
+   * Each problem is {type, message} plus details, where type is one of:
+   *   notInstalled       the version is not installed, or did not finish installing
+   *   missingFile        config.json, package.json or the config's entryPoint is missing {file}
+   *   invalidConfig      config.json can't be parsed or does not match the schema {problems}
+   *   versionMismatch    package.json or config.json has a different version to the one installed {file, expected, actual}
+   *   shortNameChanged   the shortName in the list of analysers differs from config.json {expected, actual}
+   *   notInList          the analyser is no longer in the list of analysers
+   * Versions installed from a git branch or commit (0.0.0-<sha>) are not compared with package.json or config.json,
+   * and the list is not compared if it can't be fetched.
+   * @param analyserName
+   * @param version
+   * @returns Promise {name, version, path, ok, problems}
+   */
+  self.verifyAnalyser = function(analyserName, version){
+    const dirName = analyserDirs.dirName(analyserName, version);
+    const pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, dirName);
+    const problems = [];
+
+    if(!isDir(pathToAnalyser) || !installMarkers.isComplete(self.ANALYSER_INSTALL_DIR, dirName)){
+      problems.push({type: 'notInstalled', message: `Analyser '${dirName}' is not installed`});
+      return doResolve(report());
+    }
+
+    const haveConfig = missingFile('config.json') ? doResolve(null) : readAnalyserConfig(pathToAnalyser)
+      .catch(function(err){
+        problems.push({type: 'invalidConfig', message: err.message, problems: err.problems || []});
+        return null;
+      });
+    const havePackageJson = missingFile('package.json') ? doResolve(null) : readFile(path.join(pathToAnalyser, 'package.json'), {encoding: 'utf8'})
+      .then(function(fileContents){
+        return JSON.parse(jsonWithComments(fileContents));
+      })
+      .catch(function(err){
+        problems.push({type: 'invalidConfig', message: `Unable to parse package.json for analyser '${dirName}'\n${err.message}`, problems: []});
+        return null;
+      });
+    const haveEntry = self.fetchAnalyserList()
+      .then(function(allAnalysers){
+        if(!allAnalysers[analyserName]){
+          problems.push({type: 'notInList', message: `Analyser '${analyserName}' is not in the list of analysers`});
+        }
+        return allAnalysers[analyserName];
+      }, function(err){
+        debug(`unable to compare ${dirName} with the list of analysers: ${err.message}`);
+        return null;
+      });
+
+    return Promise.join(haveConfig, havePackageJson, haveEntry, function(config, packageJson, entry){
+      const fromRef = /^0\.0\.0-[0-9a-f]+$/.test(version);
+
+      if(packageJson && !fromRef && packageJson.version !== version){
+        versionMismatch('package.json', packageJson.version);
+      }
+      if(config && config.version && !fromRef && config.version.replace(/^v/, '') !== version){
+        versionMismatch('config.json', config.version);
+      }
+      if(config && config.entryPoint){
+        missingFile(config.entryPoint);
+      }
+      const canonical = entry && entry.config;
+      if(config && canonical && canonical.shortName && canonical.shortName !== config.shortName){
+        problems.push({
+          type: 'shortNameChanged',
+          message: `The list of analysers has shortName '${canonical.shortName}' for '${analyserName}', '${dirName}' has '${config.shortName}'`,
+          expected: canonical.shortName,
+          actual: config.shortName
+        });
+      }
+      return report();
     });
 
+    function missingFile(file){
+      if(isDir(path.join(pathToAnalyser, file))){
+        return false;
+      }
+      problems.push({type: 'missingFile', message: `'${dirName}' is missing ${file}`, file: file});
+      return true;
+    }
+
+    function versionMismatch(file, actual){
+      problems.push({type: 'versionMismatch', message: `'${dirName}' has version '${actual}' in ${file}`, file: file, expected: version, actual: actual});
+    }
+
+    function report(){
+      return {name: analyserName, version: version, path: pathToAnalyser, ok: problems.length === 0, problems: problems};
+    }
   };
 
   /**
@@ -234,14 +543,15 @@ function AnalyserManager(analyserInstallLocation){
    * @returns {bluebird|exports|module.exports}
    */
   self.isNewerVersionAvailable = function(analyserName, version){
+    if(self.OFFLINE){
+      return Promise.reject(new OfflineError(`Unable to check for newer versions of analyser '${analyserName}'`, analyserName));
+    }
+
     return getAllAnalyserEntry(analyserName)
       .then(function(analyserConfig){
-        var extractor;
-        if(analyserConfig.registry === 'npm') {
-          extractor = new npmExtractor();
-        }
-        proxyAll(extractor, self);
-
+        return createExtractor(analyserName, analyserConfig);
+      })
+      .then(function(extractor){
         return extractor.getLatestVersion(analyserName)
           .then(function(latestVersion){
             if(semver.valid(version) && semver.valid(latestVersion)){
@@ -251,11 +561,139 @@ function AnalyserManager(analyserInstallLocation){
                 //we were passed a garbage version - still useful to say what the latest version is
                 return doResolve({"latest": latestVersion});
               } else {
-                return doReject(`Invalid version '${version}' for analyser '${analyserName}'`);
+                return Promise.reject(new VersionNotFoundError(analyserName, version));
               }
             }
           })
-        })
+      })
+  };
+
+  /**
+   * Resolve a semver range (e.g. '^1.2.0', '~1.0', '>=2 <3') or dist-tag (e.g. 'latest', 'next') to an exact version.
+   * Ranges resolve to the highest installed version that satisfies them, or if none is installed, the highest
+   * available from the analyser's registry. Dist-tags are looked up in the registry, if it supports them.
+   * @param analyserName
+   * @param versionSpec exact version, range or dist-tag
+   * @returns Promise version
+   */
+  self.resolveVersion = function(analyserName, versionSpec){
+    if(semver.valid(versionSpec)){
+      return doResolve(semver.valid(versionSpec));
+    }
+    if(!versionSpec || versionSpec === 'latest'){
+      return self.isNewerVersionAvailable(analyserName)
+        .then(function(version){
+          return version.latest;
+        });
+    }
+
+    if(semver.validRange(versionSpec)){
+      const installedVersion = semver.maxSatisfying(self.getInstalledVersions(analyserName), versionSpec);
+      if(installedVersion){
+        debug(`${versionSpec} satisfied by installed ${analyserName}@${installedVersion}`);
+        return doResolve(installedVersion);
+      }
+    }
+    if(self.OFFLINE){
+      return Promise.reject(new OfflineError(`No installed version of analyser '${analyserName}' satisfies '${versionSpec}'`, analyserName));
+    }
+
+    return getAllAnalyserEntry(analyserName)
+      .then(function(analyserConfig){
+        return createExtractor(analyserName, analyserConfig);
+      })
+      .then(function(extractor){
+        if(semver.validRange(versionSpec)){
+          return extractor.listVersions(analyserName)
+            .then(function(versions){
+              return semver.maxSatisfying(versions, versionSpec)
+                || Promise.reject(new VersionNotFoundError(analyserName, versionSpec, `No version of analyser '${analyserName}' satisfies '${versionSpec}'`));
+            });
+        } else if(extractor.getDistTags){
+          return extractor.getDistTags(analyserName)
+            .then(function(distTags){
+              return distTags[versionSpec]
+                || Promise.reject(new VersionNotFoundError(analyserName, versionSpec));
+            });
+        } else {
+          return Promise.reject(new VersionNotFoundError(analyserName, versionSpec));
+        }
+      });
+  };
+
+  /**
+   * Check every installed analyser for a newer version. Only the highest installed version of each analyser
+   * is compared with the latest from its registry.
+   * @returns Promise Array of {name, current, latest, type: major|minor|patch|none, error}. type is none when up to
+   *          date, pre-release differences are classified by their release type (e.g. preminor is minor).
+   *          Analysers that can't be checked have an error and no latest.
+   */
+  self.checkForUpdates = function(){
+    if(self.OFFLINE){
+      return Promise.reject(new OfflineError('Unable to check for updates'));
+    }
+
+    const byName = _.groupBy(self.getAllInstalledAnalysers(), function(dirName){
+      return analyserDirs.parse(dirName).name;
+    });
+
+    return Promise.map(_.keys(byName), function(analyserName){
+      const current = self.getLatestVersionOfInstalledAnalyser(analyserName);
+      return self.isNewerVersionAvailable(analyserName, current)
+        .then(function(version){
+          return {name: analyserName, current: current, latest: version.latest, type: updateType(current, version.latest)};
+        }, function(err){
+          debug(`unable to check ${analyserName} for updates: ${err.message}`);
+          return {name: analyserName, current: current, latest: null, type: 'none', error: err};
+        });
+    }, {concurrency: DEFAULT_INSTALL_CONCURRENCY});
+
+    function updateType(current, latest){
+      if(!semver.valid(current) || !semver.valid(latest) || !semver.gt(latest, current)){
+        return 'none';
+      }
+      return semver.diff(current, latest).replace(/^pre(?=major|minor|patch)/, '').replace('prerelease', 'patch');
+    }
+  };
+
+  /**
+   * Install the updates in a plan from checkForUpdates. Emits 'updating' and then 'updated' or 'updateFailed' with
+   * {analyser, from, to, type, error} for each update applied.
+   * @param plan Array from checkForUpdates
+   * @param options (optional)
+   *    allow: the biggest type of update to apply - patch, minor (the default) or major
+   *    concurrency: max installs at once (default 4)
+   * @returns Promise Array of {name, from, to, type, status: updated|skipped|failed, path, error}
+   */
+  self.applyUpdates = function(plan, options){
+    options = _.assign({allow: 'minor', concurrency: DEFAULT_INSTALL_CONCURRENCY}, options);
+
+    const allowed = UPDATE_TYPES.slice(0, UPDATE_TYPES.indexOf(options.allow) + 1);
+    if(allowed.length === 0){
+      return doReject(`Invalid update type '${options.allow}', expected one of: ${UPDATE_TYPES.join(', ')}`);
+    }
+
+    return Promise.map(plan, function(update){
+      const result = {name: update.name, from: update.current, to: update.latest, type: update.type};
+      if(update.type === 'none' || !update.latest){
+        return _.assign(result, {status: 'skipped'});
+      }
+      if(!_.includes(allowed, update.type)){
+        debug(`skipping ${update.type} update of ${update.name} to ${update.latest}`);
+        return _.assign(result, {status: 'skipped'});
+      }
+
+      const eventData = {analyser: update.name, from: update.current, to: update.latest, type: update.type};
+      self.emit('updating', eventData);
+      return self.installAnalyser({name: update.name, version: update.latest})
+        .then(function(installed){
+          self.emit('updated', eventData);
+          return _.assign(result, {status: 'updated', path: installed.path});
+        }, function(err){
+          self.emit('updateFailed', _.assign({error: err}, eventData));
+          return _.assign(result, {status: 'failed', error: err});
+        });
+    }, {concurrency: options.concurrency});
   };
 
   /**
@@ -276,7 +714,7 @@ function AnalyserManager(analyserInstallLocation){
           .then(function(ALL_ANALYSER){
             debug('have fetched analyser list: ' + ALL_ANALYSER);
             doResolve();
-          });
+          }, reject);
       }
 
       function doResolve(){
@@ -294,6 +732,55 @@ function AnalyserManager(analyserInstallLocation){
     });
   };
 
+  /**
+   * Install all the analysers in a .sidekickrc - {languages: {lang: {analyserName: {version, failCiOnError}}}}.
+   * Unknown analysers and failed installs are reported rather than failing the batch, unless the analyser
+   * has failCiOnError, in which case the batch rejects with a BatchInstallError once everything has finished.
+   * @param configOrPath the parsed .sidekickrc, or the path of a .sidekickrc (or of the dir containing one)
+   * @param options (optional) {concurrency: max installs at once (default 4), force: reinstall existing analysers}
+   * @returns Promise Array of {name, version, languages, failCiOnError, status: installed|present|failed,
+   *                            path, config, error}
+   */
+  self.installAll = function(configOrPath, options){
+    options = _.assign({concurrency: DEFAULT_INSTALL_CONCURRENCY}, options);
+
+    return readSidekickrc(configOrPath)
+      .then(function(sidekickrc){
+        const analysers = analysersInSidekickrc(sidekickrc);
+        return self.validateAnalyserList(analysers)
+          .then(function(validAnalysers){
+            const installedBefore = self.getAllInstalledAnalysers();
+
+            return Promise.map(analysers, function(analyser){
+              const result = _.pick(analyser, ['name', 'version', 'languages', 'failCiOnError']);
+
+              if(!_.includes(validAnalysers, analyser)){
+                return _.assign(result, {status: 'failed', error: new UnknownAnalyserError(analyser.name)});
+              }
+              return self.installAnalyser(analyser, options.force)
+                .then(function(installed){
+                  const dirName = path.basename(installed.path);
+                  return _.assign(result, {
+                    version: analyserDirs.parse(dirName).version,
+                    status: !options.force && _.includes(installedBefore, dirName) ? 'present' : 'installed',
+                    path: installed.path,
+                    config: installed.config
+                  });
+                }, function(err){
+                  debug(`unable to install ${analyser.name}: ${err.message}`);
+                  return _.assign(result, {status: 'failed', error: err});
+                });
+            }, {concurrency: options.concurrency});
+          });
+      })
+      .then(function(results){
+        if(_.some(results, {status: 'failed', failCiOnError: true})){
+          return Promise.reject(new BatchInstallError(results));
+        }
+        return results;
+      });
+  };
+
   /**
    * Finds the latest version of an installed analyser by comparing directory names.
    * e.g. if a dire contains my-analyser@1.0.2 and my-analyser@1.10.0, then '1.10.0' will be returned
@@ -301,32 +788,33 @@ function AnalyserManager(analyserInstallLocation){
    * @returns String
    */
   self.getLatestVersionOfInstalledAnalyser = function(analyserName){
-    //find all dirs that start with analyserName
-    const allAnalyserDirs = getDirectories(self.ANALYSER_INSTALL_DIR, analyserName);
+    const ascVersions = self.getInstalledVersions(analyserName);
+    return ascVersions.length === 0 ? null : ascVersions[ascVersions.length -1];
+  };
 
-    if(allAnalyserDirs.length === 0){
-      return null;
-    } else {
-      const versions = _.map(allAnalyserDirs, function(dir){
-        return dir.substr(dir.indexOf('@') + 1);
-      });
-      _.remove(versions, function(version){
-        return !semver.valid(version);
-      });
+  /**
+   * Finds all the installed versions of an analyser by comparing directory names.
+   * @param analyserName the name of the analyser to search for
+   * @returns Array of versions in ascending semver order
+   */
+  self.getInstalledVersions = function(analyserName){
+    //find all dirs for analyserName
+    const allAnalyserDirs = getDirectories(self.ANALYSER_INSTALL_DIR, analyserName);
 
-      const ascVersions =_.sortBy(versions, function(version){
-        return version;
-      });
+    const versions = _.map(allAnalyserDirs, function(dir){
+      return analyserDirs.parse(dir).version;
+    });
+    _.remove(versions, function(version){
+      return !semver.valid(version);
+    });
 
-      return ascVersions[ascVersions.length -1];
-    }
+    return versions.sort(semver.compare);
 
     function getDirectories(basePath, analyserName) {
       if(isDir(basePath)){
         return fs.readdirSync(basePath).filter(function(file) {
-          const stat = fs.statSync(path.join(basePath, file));
-          const re = new RegExp(`^${analyserName}@`, "i");
-          return stat.isDirectory() && re.test(file);
+          const parsed = analyserDirs.parse(file);
+          return isDirectory(path.join(basePath, file)) && parsed && parsed.name.toLowerCase() === analyserName.toLowerCase() && installMarkers.isComplete(basePath, file);
         });
       } else {
         return [];
@@ -335,15 +823,13 @@ function AnalyserManager(analyserInstallLocation){
   };
 
   /**
-   * Gets a list of all the installed analysers (name only)
-   * @returns Array
+   * Gets a list of all the installed analysers (name only) - installs that did not complete are ignored
+   * @returns Array of dir names, e.g. my-analyser@1.0.0 - see analyserDirs.parse to split them
    */
   self.getAllInstalledAnalysers = function(){
     if(isDir(self.ANALYSER_INSTALL_DIR)){
       return fs.readdirSync(self.ANALYSER_INSTALL_DIR).filter(function(file) {
-        const stat = fs.statSync(path.join(self.ANALYSER_INSTALL_DIR, file));
-        const re = new RegExp(`@`, "i");
-        return stat.isDirectory() && re.test(file);
+        return isDirectory(path.join(self.ANALYSER_INSTALL_DIR, file)) && !!analyserDirs.parse(file) && installMarkers.isComplete(self.ANALYSER_INSTALL_DIR, file);
       });
     } else {
       return [];
@@ -351,49 +837,903 @@ function AnalyserManager(analyserInstallLocation){
   };
 
   /**
-   * Read and parse the config for a locally installed analyser
-   * @param analyserPath the abs path of the analyser config file
+   * Describe every installed analyser, from the manifest written when it was installed.
+   * Installs that did not complete are ignored.
+   * @returns Promise Array of {name, version, path, registry, source, installedAt, bytes, tarball, config}
+   *          sorted by name then version. config is null if the analyser's config.json can't be read.
+   */
+  self.listInstalled = function(){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+
+    return installMarkers.list(installDir)
+      .then(function(markers){
+        return Promise.map(_.filter(markers, function(marker){
+          return isDir(path.join(installDir, marker.dirName));
+        }), function(marker){
+          const pathToAnalyser = path.join(installDir, marker.dirName);
+          const haveBytes = _.isNumber(marker.bytes) ? doResolve(marker.bytes) : diskUsage.sizeOf(pathToAnalyser);  //installed before sizes were recorded
+
+          return Promise.all([haveBytes, readAnalyserConfig(pathToAnalyser).catch(function(err){
+            debug(err.message);
+            return null;
+          })])
+            .spread(function(bytes, config){
+              return {
+                name: marker.name,
+                version: marker.version,
+                path: pathToAnalyser,
+                registry: marker.registry || null,
+                source: marker.source || null,
+                installedAt: marker.installedAt ? new Date(marker.installedAt) : null,
+                bytes: bytes,
+                tarball: marker.tarball || null,
+                config: config
+              };
+            });
+        }, {concurrency: DEFAULT_INSTALL_CONCURRENCY});
+      })
+      .then(function(installed){
+        return installed.sort(function(a, b){
+          if(a.name !== b.name){
+            return a.name < b.name ? -1 : 1;
+          }
+          return semver.valid(a.version) && semver.valid(b.version) ? semver.compare(a.version, b.version) : 0;
+        });
+      });
+  };
+
+  /**
+   * Mark an installed analyser as in use (e.g. while running it) so it is not uninstalled or pruned meanwhile.
+   * @param analyserName
+   * @param version
+   * @returns Promise release function, call it when done with the analyser
+   */
+  self.markInUse = function(analyserName, version){
+    return installLock.markInUse(self.ANALYSER_INSTALL_DIR, analyserDirs.dirName(analyserName, version));
+  };
+
+  /**
+   * Remove an installed analyser version. Emits 'uninstalling' with {analyser, version} once it is sure it can be
+   * removed, and then 'uninstalled', or 'uninstallFailed' with {analyser, version, error} if removing it fails.
+   * Rejects with AnalyserInUseError while the version is being installed or is marked in use.
+   * @param analyserName
+   * @param version
+   * @returns Promise {name, version, path, bytes} where bytes is the disk space freed
+   */
+  self.uninstallAnalyser = function(analyserName, version){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+    const dirName = analyserDirs.dirName(analyserName, version);
+    const pathToAnalyser = path.join(installDir, dirName);
+    const eventData = {analyser: analyserName, version: version};
+
+    if(!isDir(pathToAnalyser) && !installMarkers.isComplete(installDir, dirName)){
+      return Promise.reject(new AnalyserNotInstalledError(analyserName, version));
+    }
+    var inUse = whyInUse(dirName);
+    if(inUse){
+      return Promise.reject(new AnalyserInUseError(analyserName, version, inUse));
+    }
+
+    const lockOptions = _.assign({}, self.LOCK_OPTIONS, {timeout: 0});
+    return installLock.withLock(installDir, dirName, lockOptions, function(){
+        inUse = whyInUse(dirName, true);  //may have changed while we took the lock
+        if(inUse){
+          return Promise.reject(new AnalyserInUseError(analyserName, version, inUse));
+        }
+        self.emit('uninstalling', eventData);
+
+        //moved out of the way before its marker is cleared, so it is never seen half removed
+        const removingDir = path.join(installMarkers.stagingPath(installDir), `${dirName}-${process.pid}-${Date.now()}`);
+        return diskUsage.sizeOf(pathToAnalyser)
+          .then(function(bytes){
+            return mkdirs(path.dirname(removingDir))
+              .then(function(){
+                return rename(pathToAnalyser, removingDir)
+                  .catch(function(err){
+                    return err.code === 'ENOENT' ? null : Promise.reject(err);  //only its marker is left
+                  });
+              })
+              .then(function(){
+                return installMarkers.clear(installDir, dirName);  //so it no longer counts as installed
+              })
+              .then(function(){
+                return remove(removingDir);
+              })
+              .then(function(){
+                return bytes;
+              });
+          })
+          .catch(function(err){
+            self.emit('uninstallFailed', _.assign({error: err}, eventData));
+            return Promise.reject(err);
+          });
+      })
+      .then(function(bytes){
+        debug(`uninstalled ${dirName}, freed ${bytes} bytes`);
+        self.emit('uninstalled', eventData);
+        return {name: analyserName, version: version, path: pathToAnalyser, bytes: bytes};
+      }, function(err){
+        if(err.name === 'LockTimeoutError'){
+          return Promise.reject(new AnalyserInUseError(analyserName, version, 'it is being installed'));
+        }
+        return Promise.reject(err);
+      });
+  };
+
+  /**
+   * Remove old versions of installed analysers. A version is kept if it is one of the newest `keep` versions of its
+   * analyser, was installed less than `olderThanDays` ago or is referenced by one of `keepReferencedBy`.
+   * Versions being installed or in use are skipped.
+   * @param options (optional)
+   *    keep: number of the newest versions of each analyser to keep (default 1)
+   *    olderThanDays: only remove versions installed longer ago than this
+   *    keepReferencedBy: Array of .sidekickrc (parsed, or paths) whose analysers are kept - the version they name,
+   *                      the highest installed satisfying their range, or the latest installed if they have no version
+   *    dryRun: report what would be removed without removing anything
+   * @returns Promise {removed: [{name, version, path, bytes}], skipped: [{name, version, reason}], bytesFreed}
+   */
+  self.prune = function(options){
+    options = _.assign({keep: 1}, options);
+
+    return Promise.map(options.keepReferencedBy || [], readSidekickrc)
+      .then(function(sidekickrcs){
+        const referenced = {};
+        _.each(sidekickrcs, function(sidekickrc){
+          _.each(analysersInSidekickrc(sidekickrc), function(analyser){
+            const version = resolveInstalledVersion(analyser.name, analyser.version);
+            if(version){
+              referenced[analyserDirs.dirName(analyser.name, version)] = true;
+            }
+          });
+        });
+
+        const byName = _.groupBy(self.getAllInstalledAnalysers(), function(dirName){
+          return analyserDirs.parse(dirName).name;
+        });
+        const candidates = [];
+        _.each(byName, function(dirNames, analyserName){
+          const newestFirst = dirNames.sort(function(a, b){
+            return compareVersions(versionOf(b), versionOf(a));
+          });
+          _.each(newestFirst, function(dirName, index){
+            if(index < options.keep || referenced[dirName]){
+              return;
+            }
+            if(options.olderThanDays !== undefined && daysSinceInstalled(dirName) < options.olderThanDays){
+              return;
+            }
+            candidates.push({name: analyserName, version: versionOf(dirName)});
+          });
+        });
+
+        const report = {removed: [], skipped: [], bytesFreed: 0};
+        return Promise.each(candidates, function(candidate){
+          const dirName = analyserDirs.dirName(candidate.name, candidate.version);
+          const inUse = whyInUse(dirName);
+          if(options.dryRun && !inUse){
+            const pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, dirName);
+            return diskUsage.sizeOf(pathToAnalyser)
+              .then(function(bytes){
+                return {name: candidate.name, version: candidate.version, path: pathToAnalyser, bytes: bytes};
+              })
+              .then(removed);
+          } else if(inUse){
+            report.skipped.push(_.assign(candidate, {reason: inUse}));
+          } else {
+            return self.uninstallAnalyser(candidate.name, candidate.version)
+              .then(removed, function(err){
+                report.skipped.push(_.assign(candidate, {reason: err.reason || err.message}));
+              });
+          }
+        })
+          .then(function(){
+            return report;
+          });
+
+        function removed(uninstalled){
+          report.removed.push(uninstalled);
+          report.bytesFreed += uninstalled.bytes;
+        }
+      });
+
+    function versionOf(dirName){
+      return analyserDirs.parse(dirName).version;
+    }
+
+    function compareVersions(a, b){
+      if(semver.valid(a) && semver.valid(b)){
+        return semver.compare(a, b);
+      }
+      return semver.valid(a) ? 1 : (semver.valid(b) ? -1 : 0);  //invalid versions are oldest
+    }
+
+    function daysSinceInstalled(dirName){
+      const marker = installMarkers.read(self.ANALYSER_INSTALL_DIR, dirName);
+      const installedAt = marker && marker.installedAt
+        ? new Date(marker.installedAt).getTime()
+        : fs.statSync(path.join(self.ANALYSER_INSTALL_DIR, dirName)).mtime.getTime();
+      return (Date.now() - installedAt) / (24 * 60 * 60 * 1000);
+    }
+  };
+
+  /**
+   * Pack installed analysers into an offline bundle (see analyserBundle.js) that importBundle can install from on a
+   * machine that can't reach the registries. Only analysers installed from a tarball can be bundled - not those
+   * installed from git or a local dir. Tarballs come from the tarball cache, the .tgz they were installed from or are
+   * downloaded again, and must match the integrity they were installed with.
+   * @param analysers Array of analyser names or {name, version} - the latest installed version if no version
+   * @param outFile abs path of the bundle to write
+   * @returns Promise Array of {name, version} bundled
+   */
+  self.exportBundle = function(analysers, outFile){
+    const bundleDir = path.join(installMarkers.stagingPath(self.ANALYSER_INSTALL_DIR), `bundle-${process.pid}-${Date.now()}`);
+
+    return Promise.map(analysers, function(analyser){
+      analyser = _.isString(analyser) ? {name: analyser} : analyser;
+      const version = analyser.version || self.getLatestVersionOfInstalledAnalyser(analyser.name);
+      const manifest = version && installMarkers.read(self.ANALYSER_INSTALL_DIR, analyserDirs.dirName(analyser.name, version));
+      if(!manifest){
+        return Promise.reject(new AnalyserNotInstalledError(analyser.name, version,
+          `Unable to bundle analyser '${analyser.name}', ${version ? `version '${version}' ` : ''}is not installed`));
+      }
+
+      const details = _.assign({}, manifest, {name: analyser.name, version: version});
+      return copyTarball(details, analyserBundle.tarballPath(bundleDir, analyser.name, version))
+        .then(function(tarballIntegrity){
+          return _.assign(details, {integrity: tarballIntegrity});
+        });
+    }, {concurrency: DEFAULT_INSTALL_CONCURRENCY})
+      .then(function(bundled){
+        return self.fetchAnalyserList()
+          .then(function(list){
+            return analyserBundle.write(bundleDir, bundled, list, outFile);
+          })
+          .then(function(){
+            return _.map(bundled, function(details){
+              return _.pick(details, ['name', 'version']);
+            });
+          });
+      })
+      .finally(function(){
+        return remove(bundleDir);
+      });
+  };
+
+  /**
+   * Install the analysers in a bundle from exportBundle without using the network. Each tarball is checked against
+   * its integrity, then installed as a local .tgz - running bin/install and emitting the usual events. The bundle's
+   * list of analysers is added to the cached list, so the analysers can be found when offline.
+   * @param file abs path of the bundle
+   * @param options (optional) {concurrency: max installs at once (default 4), force: reinstall existing analysers}
+   * @returns Promise Array of {name, version, status: installed|present|failed, path, error}
+   */
+  self.importBundle = function(file, options){
+    options = _.assign({concurrency: DEFAULT_INSTALL_CONCURRENCY}, options);
+    const bundleDir = path.join(installMarkers.stagingPath(self.ANALYSER_INSTALL_DIR), `bundle-${process.pid}-${Date.now()}`);
+
+    return analyserBundle.read(file, bundleDir)
+      .then(function(bundle){
+        return addToCachedList(bundle.list)
+          .then(function(){
+            return Promise.map(bundle.analysers, function(bundled){
+              const result = {name: bundled.name, version: bundled.version};
+              return importAnalyser(bundled, bundle.list[bundled.name] || {}, options.force)
+                .then(function(imported){
+                  return _.assign(result, imported);
+                }, function(err){
+                  debug(`unable to import ${bundled.name}@${bundled.version}: ${err.message}`);
+                  return _.assign(result, {status: 'failed', error: err});
+                });
+            }, {concurrency: options.concurrency});
+          });
+      })
+      .finally(function(){
+        return remove(bundleDir);
+      });
+  };
+
+  /**
+   * Remove every tarball from the tarball cache. The cache is shared, so this affects other install dirs too.
+   * @returns Promise {files, bytes} the number of tarballs removed and the space freed
+   */
+  self.clearCache = function(){
+    if(!self.TARBALL_CACHE){
+      return doResolve({files: 0, bytes: 0});
+    }
+    return tarballCache.clear(self.TARBALL_CACHE.dir);
+  };
+
+  /**
+   * Check the install dir and every analyser installed in it. Each problem is {type, severity, message, fix, path}
+   * (plus analyser and version for problems with an installed analyser), where severity is error or warning and
+   * type is one of:
+   *   installDirMissing       the install dir does not exist (error)
+   *   installDirNotWriteable  the install dir can't be written to (error)
+   *   incompleteInstall       an analyser dir that did not finish installing, e.g. bin/install failed (error)
+   *   notInstalled, missingFile, invalidConfig, versionMismatch, shortNameChanged, notInList
+   *                           from verifyAnalyser - errors, apart from shortNameChanged and notInList (warnings)
+   *   unversionedDir          a dir without a semver version, which is never used (warning)
+   *   leftoverTarball         a .tgz left in the install dir (warning)
+   *   orphanedMarker          an install marker for an analyser dir that no longer exists (warning)
+   *   leftoverStaging         a staging dir left by a process that is no longer running (warning)
+   * With repair, broken analysers are reinstalled (at the same version) and leftovers removed - each problem
+   * repair was attempted for then has repaired: true, or repaired: false and the repairError.
+   * @param options (optional) {repair: fix what can be fixed}
+   * @returns Promise {ok: true if there are no errors left, problems}
+   */
+  self.doctor = function(options){
+    options = options || {};
+    const installDir = self.ANALYSER_INSTALL_DIR;
+    const problems = [];
+
+    return checkInstallDir()
+      .then(function(canInspect){
+        return canInspect ? inspectInstallDir() : null;
+      })
+      .then(function(){
+        return options.repair ? repairAll() : null;
+      })
+      .then(function(){
+        return {
+          ok: !_.some(problems, function(problem){
+            return problem.severity === 'error' && !problem.repaired;
+          }),
+          problems: problems
+        };
+      });
+
+    function problem(type, severity, file, message, fix, details){
+      problems.push(_.assign({type: type, severity: severity, message: message, fix: fix, path: file}, details));
+    }
+
+    function checkInstallDir(){
+      if(!isDir(installDir)){
+        problem('installDirMissing', 'error', installDir, `Install dir '${installDir}' does not exist`, 'Create it');
+        return doResolve(false);
+      }
+      return canAccess(installDir, fs.W_OK)
+        .then(function(){
+          return true;
+        }, function(){
+          problem('installDirNotWriteable', 'error', installDir, `Install dir '${installDir}' is not writeable`,
+            'Make it writeable by this user');
+          return true;
+        });
+    }
+
+    function inspectInstallDir(){
+      const analysers = [];
+
+      _.each(fs.readdirSync(installDir), function(file){
+        const filePath = path.join(installDir, file);
+        const parsed = analyserDirs.parse(file);
+        if(file[0] === '.' && !parsed){
+          return;  //markers, locks, staging and cached list
+        }
+        if(/\.tgz$/.test(file)){
+          problem('leftoverTarball', 'warning', filePath, `'${file}' was left in the install dir`, 'Remove it');
+        } else if(isDir(filePath) && !isDirectory(filePath)){
+          return;  //files other than tarballs aren't ours - but a dangling link can't be stat'ed, so is checked below
+        } else if(!parsed || !semver.valid(parsed.version)){
+          problem('unversionedDir', 'warning', filePath, `'${file}' has no version, so it is never used`,
+            'Remove it, and install the analyser with installAnalyser');
+        } else if(!installMarkers.isComplete(installDir, file)){
+          problem('incompleteInstall', 'error', filePath, `'${file}' did not finish installing`, 'Reinstall it',
+            {analyser: parsed.name, version: parsed.version});
+        } else {
+          analysers.push(parsed);
+        }
+      });
+
+      const leftovers = installMarkers.findLeftovers(installDir);
+      _.each(leftovers.orphanedMarkers, function(file){
+        problem('orphanedMarker', 'warning', file, `'${path.basename(file)}' marks an analyser that is not installed`,
+          'Remove it');
+      });
+      _.each(leftovers.leftoverStaging, function(file){
+        problem('leftoverStaging', 'warning', file, `'${path.basename(file)}' was left by an install that did not finish`,
+          'Remove it');
+      });
+
+      return Promise.each(analysers, function(analyser){
+        return self.verifyAnalyser(analyser.name, analyser.version)
+          .then(function(verified){
+            _.each(verified.problems, function(verifyProblem){
+              const isError = _.includes(REINSTALLABLE_PROBLEMS, verifyProblem.type);
+              problem(verifyProblem.type, isError ? 'error' : 'warning', verified.path, verifyProblem.message,
+                isError ? 'Reinstall it' : 'Install a version from the list of analysers, or uninstall it',
+                _.assign(_.omit(verifyProblem, ['type', 'message']), {analyser: analyser.name, version: analyser.version}));
+            });
+          });
+      });
+    }
+
+    function repairAll(){
+      const reinstalls = {};
+
+      return Promise.each(problems, function(toRepair){
+        var repair;
+        if(toRepair.type === 'installDirMissing'){
+          repair = mkdirs(installDir);
+        } else if(_.includes(['leftoverTarball', 'unversionedDir', 'orphanedMarker', 'leftoverStaging'], toRepair.type)){
+          repair = remove(toRepair.path);
+        } else if(_.includes(REINSTALLABLE_PROBLEMS, toRepair.type)){
+          //one reinstall fixes every problem with the analyser
+          const dirName = analyserDirs.dirName(toRepair.analyser, toRepair.version);
+          reinstalls[dirName] = reinstalls[dirName] || self.installAnalyser({name: toRepair.analyser, version: toRepair.version}, true);
+          repair = reinstalls[dirName];
+        } else {
+          return;
+        }
+
+        debug(`repairing ${toRepair.type} ${toRepair.path}`);
+        return repair
+          .then(function(){
+            toRepair.repaired = true;
+          }, function(err){
+            debug(`unable to repair ${toRepair.type} ${toRepair.path}: ${err.message}`);
+            _.assign(toRepair, {repaired: false, repairError: err});
+          });
+      });
+    }
+  };
+
+  /**
+   * Mark analysers installed by versions that didn't mark completed installs as complete, so they are used instead of
+   * being treated as broken (see installMarkers.adoptLegacyInstall). Call it once when upgrading an install dir - it
+   * can't tell them from installs whose bin/install failed.
+   * @returns Promise Array of the dir names adopted, e.g. my-analyser@1.0.0
+   */
+  self.adoptLegacyInstalls = function(){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+
+    return readdir(installDir)
+      .catch(function(){
+        return [];
+      })
+      .then(function(files){
+        return _.filter(files, function(file){
+          return isDirectory(path.join(installDir, file)) && installMarkers.adoptLegacyInstall(installDir, file);
+        });
+      });
+  };
+
+  /**
+   * Remove broken installs: analyser dirs that did not finish installing, markers for analyser dirs that
+   * no longer exist and staging dirs left behind by processes that are no longer running. Analysers installed by
+   * versions that didn't mark completed installs are broken installs, unless adoptLegacyInstalls is called first.
+   * @returns Promise Array of the abs paths removed
+   */
+  self.cleanIncompleteInstalls = function(){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+    var toRemove = [];
+
+    if(isDir(installDir)){
+      _.each(fs.readdirSync(installDir), function(file){
+        if(analyserDirs.parse(file) && !installMarkers.isComplete(installDir, file)){
+          toRemove.push(path.join(installDir, file));
+        }
+      });
+    }
+    const leftovers = installMarkers.findLeftovers(installDir);
+    toRemove = toRemove.concat(leftovers.orphanedMarkers, leftovers.leftoverStaging);
+
+    debug('removing incomplete installs: ' + JSON.stringify(toRemove));
+    return Promise.all(_.map(toRemove, function(file){
+      return remove(file);
+    }))
+      .then(function(){
+        return toRemove;
+      });
+  };
+
+  /**
+   * Read, parse and validate the config for a locally installed analyser
+   * @param analyserPath the abs path of the analyser dir
+   * @returns Promise the config, rejects with InvalidAnalyserConfigError if it does not match the schema
    */
   function readAnalyserConfig(analyserPath) {
     var filePath = path.join(analyserPath, 'config.json');
+    var analyser = analyserDirs.parse(path.basename(analyserPath)) || {name: analyserPath, version: 'unknown'};
 
     return readFile(filePath, {encoding: 'utf8'})
       .then(function(fileContents){
         try {
-          return doResolve(JSON.parse(jsonWithComments(fileContents)));
+          var config = JSON.parse(jsonWithComments(fileContents));
         } catch(err){
-          return doReject(`Unable to parse config file for analyser '${analyserPath}'`, err);
+          return Promise.reject(new ConfigParseError(filePath, err, analyser.name, analyser.version));
         }
+
+        var problems = configValidation.validate(config);
+        if(problems.length > 0){
+          return Promise.reject(new InvalidAnalyserConfigError(analyser.name, analyser.version, problems));
+        }
+        return doResolve(config);
       }, function(err){
         return doReject(`Unable to read config file for analyser '${analyserPath}'`, err);
       });
   }
 
+  /**
+   * @param configOrPath a parsed .sidekickrc, or the path of a .sidekickrc or the dir containing one
+   * @returns Promise the parsed .sidekickrc
+   */
+  function readSidekickrc(configOrPath){
+    if(!_.isString(configOrPath)){
+      return doResolve(configOrPath || {});
+    }
+
+    var filePath = isDirectory(configOrPath)
+      ? path.join(configOrPath, SIDEKICKRC_FILE_NAME)
+      : configOrPath;
+    return readFile(filePath, {encoding: 'utf8'})
+      .then(function(fileContents){
+        try {
+          return doResolve(JSON.parse(jsonWithComments(fileContents)));
+        } catch(err){
+          return Promise.reject(new ConfigParseError(filePath, err));
+        }
+      }, function(err){
+        return doReject(`Unable to read '${filePath}'`, err);
+      });
+  }
+
+  /**
+   * Flatten the languages in a .sidekickrc into one entry per analyser. An analyser used for several languages
+   * fails CI if any of them say it should, and uses the first version given.
+   * @returns Array of {name, version, failCiOnError, languages}
+   */
+  function analysersInSidekickrc(sidekickrc){
+    var analysers = {};
+    _.each(sidekickrc.languages, function(languageAnalysers, language){
+      _.each(languageAnalysers, function(analyserSettings, analyserName){
+        analyserSettings = analyserSettings || {};
+        var analyser = analysers[analyserName] = analysers[analyserName] || {name: analyserName, languages: [], failCiOnError: false};
+        analyser.languages.push(language);
+        analyser.failCiOnError = analyser.failCiOnError || !!analyserSettings.failCiOnError;
+        if(analyserSettings.version && analyserSettings.version !== analyser.version){
+          if(analyser.version){
+            debug(`${analyserName} has version ${analyser.version} and ${analyserSettings.version}, using ${analyser.version}`);
+          } else {
+            analyser.version = analyserSettings.version;
+          }
+        }
+      });
+    });
+    return _.values(analysers);
+  }
+
+  /**
+   * @param dirName e.g. my-analyser@1.0.0
+   * @param haveLock (optional) true if we hold the install lock ourselves
+   * @returns String why the analyser dir can't be removed, or null if it can
+   */
+  function whyInUse(dirName, haveLock){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+    if(installsInFlight[path.join(installDir, dirName)] || (!haveLock && installLock.isLocked(installDir, dirName, self.LOCK_OPTIONS.stale))){
+      return 'it is being installed';
+    } else if(installLock.isInUse(installDir, dirName)){
+      return 'it is in use';
+    }
+    return null;
+  }
+
+  /**
+   * Resolve an analyser from the local install only (used when offline)
+   * @param analyser {name, version}
+   * @param force
+   */
+  function resolveInstalledAnalyser(analyser, force){
+    if(force){
+      return Promise.reject(new OfflineError(`Unable to reinstall analyser '${analyser.name}'`, analyser.name));
+    }
+
+    var version = resolveInstalledVersion(analyser.name, analyser.version);
+    if(!version){
+      return Promise.reject(new OfflineError(`Analyser '${analyser.name}' is not installed`, analyser.name));
+    }
+
+    return self.fetchAnalyser(analyser.name, version)
+      .catch(function(){
+        return Promise.reject(new OfflineError(`Analyser '${analyser.name}@${version}' is not installed`, analyser.name));
+      });
+  }
+
+  /**
+   * Resolve a version against the installed versions of an analyser only
+   * @param analyserName
+   * @param versionSpec (optional) exact version, semver range or 'latest' (the default)
+   * @returns String the exact version to use, or null if none is installed that satisfies versionSpec.
+   *          Exact versions are returned as is, whether or not they are installed.
+   */
+  function resolveInstalledVersion(analyserName, versionSpec){
+    if(!versionSpec || versionSpec === 'latest'){
+      return self.getLatestVersionOfInstalledAnalyser(analyserName);
+    } else if(semver.valid(versionSpec)){
+      return versionSpec;
+    } else if(semver.validRange(versionSpec)){
+      return semver.maxSatisfying(self.getInstalledVersions(analyserName), versionSpec);
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * @param analyser {name, version}
+   * @param locked (optional) the analyser's lockfile entry
+   * @returns Object analyser, with the locked version and its lockfile entry (as locked) if the version asked for
+   *          allows it
+   */
+  function withLockedVersion(analyser, locked){
+    if(!locked){
+      return analyser;
+    }
+    const requested = analyser.version;
+    const isLatest = !requested || requested === 'latest';
+    const isSatisfiedRange = !semver.valid(requested) && semver.validRange(requested) && semver.satisfies(locked.version, requested);
+
+    if(isLatest || isSatisfiedRange || requested === locked.version){
+      debug(`using locked version ${locked.version} of ${analyser.name}`);
+      return _.assign({}, analyser, {version: locked.version, locked: locked});
+    }
+    return analyser;
+  }
+
+  /**
+   * Record an installed analyser in the lockfile, from its install manifest
+   * @returns Promise
+   */
+  function lockInstalled(analyserName, installed){
+    const manifest = installMarkers.read(self.ANALYSER_INSTALL_DIR, path.basename(installed.path)) || {};
+    const entry = analyserLockfile.entryFor(_.assign({}, manifest, {
+      version: analyserDirs.parse(path.basename(installed.path)).version
+    }));
+
+    return analyserLockfile.update(self.LOCKFILE, function(lock){
+      lock.analysers[analyserName] = entry;  //only written if it changed
+    }, self.LOCK_OPTIONS);
+  }
+
+  /**
+   * Copy the tarball an installed analyser came from, for a bundle
+   * @param details the analyser's install manifest
+   * @param dest abs path to copy the tarball to
+   * @returns Promise the tarball's integrity - the one it was installed with, or computed if it has none
+   */
+  function copyTarball(details, dest){
+    const source = details.tarball;
+    if(!source){
+      return doReject(`Unable to bundle analyser '${details.name}@${details.version}', it was not installed from a tarball`);
+    }
+    const haveCached = self.TARBALL_CACHE && details.integrity
+      ? tarballCache.get(self.TARBALL_CACHE.dir, details.integrity)
+      : doResolve(null);
+
+    return Promise.join(haveCached, mkdirs(path.dirname(dest)))
+      .spread(function(cached){
+        if(cached || !/^https?:\/\//.test(source)){
+          return copy(cached || source, dest);
+        }
+        if(self.OFFLINE){
+          return Promise.reject(new OfflineError(`Unable to download '${source}'`, details.name));
+        }
+        return npmrc.load(self.NPM_OPTIONS)
+          .then(function(npmSettings){
+            return httpClient.download({url: source, headers: npmrc.authHeaders(source, npmSettings)}, dest, self.HTTP_POLICY)
+              .then(function(response){
+                if(response.statusCode != 200){
+                  return Promise.reject(new RegistryError(`Unable to download '${source}'`, response.statusCode, null, details.name, details.version));
+                }
+              }, function(err){
+                return Promise.reject(new NetworkError(`Unable to download '${source}'`, source, null, err, details.name, details.version));
+              });
+          });
+      })
+      .catch(function(err){
+        return doReject(`Unable to bundle analyser '${details.name}@${details.version}'`, err);
+      })
+      .then(function(){
+        if(!details.integrity){
+          return integrity.compute(dest);
+        }
+        return integrity.check(dest, [details.integrity])
+          .then(function(mismatch){
+            if(mismatch){
+              return Promise.reject(new IntegrityError(details.name, details.version, mismatch.expected, mismatch.actual));
+            }
+            return details.integrity;
+          });
+      });
+  }
+
+  /**
+   * Install an analyser from an unpacked bundle, unless it is already installed. Tarballs without an integrity in the
+   * bundle are rejected with IntegrityError, as they can't be checked.
+   * @param bundled {name, version, registry, tarball, integrity, file} from analyserBundle.read
+   * @param analyserEntry the analyser's entry in the bundle's list of analysers
+   * @param force reinstall if it is already installed
+   * @returns Promise {status: installed|present, path}
+   */
+  function importAnalyser(bundled, analyserEntry, force){
+    const dirName = analyserDirs.dirName(bundled.name, bundled.version);
+    const pathToAnalyser = path.join(self.ANALYSER_INSTALL_DIR, dirName);
+
+    return installLock.withLock(self.ANALYSER_INSTALL_DIR, dirName, self.LOCK_OPTIONS, function(){
+      if(!force && installMarkers.isComplete(self.ANALYSER_INSTALL_DIR, dirName)){
+        return doResolve({status: 'present', path: pathToAnalyser});
+      }
+
+      if(!bundled.integrity){
+        return Promise.reject(new IntegrityError(bundled.name, bundled.version, 'an integrity in the bundle', 'none'));
+      }
+
+      return integrity.check(bundled.file, [bundled.integrity])
+        .then(function(mismatch){
+          if(mismatch){
+            return Promise.reject(new IntegrityError(bundled.name, bundled.version, mismatch.expected, mismatch.actual));
+          }
+          return createExtractor(bundled.name, {registry: 'local', path: bundled.file});
+        })
+        .then(function(extractor){
+          //recorded as installed from where the bundled tarball originally came from
+          const recordedEntry = _.assign({}, analyserEntry, {registry: bundled.registry});
+          return installStaged(extractor, {name: bundled.name}, bundled.version, recordedEntry, _.pick(bundled, ['tarball', 'integrity']));
+        })
+        .then(function(){
+          return {status: 'installed', path: pathToAnalyser};
+        });
+    });
+  }
+
+  /**
+   * Add analysers to the cached list of analysers, keeping those already in it. The cache keeps when it was last
+   * fetched - a cache created here was never fetched, so is only used offline or when the list can't be fetched.
+   * @param analysers {name: analysers.json entry}
+   * @returns Promise
+   */
+  function addToCachedList(analysers){
+    const cacheKey = listCache.keyFor(self.ANALYSER_LIST_SOURCES);
+
+    return listCache.read(self.ANALYSER_INSTALL_DIR, cacheKey)
+      .then(function(cache){
+        const merged = _.assign({}, analysers, cache ? cache.analysers : self.ALL_ANALYSERS);
+        self.ALL_ANALYSERS = merged;
+        return listCache.write(self.ANALYSER_INSTALL_DIR, cacheKey, merged, cache ? cache.http : {}, cache ? cache.fetchedAt : 0);
+      });
+  }
+
   function _installAnalyser(analyser, version){
     return getAllAnalyserEntry(analyser.name)
       .then(function(analyserConfig){
-        var config = analyserConfig.config; //strip the wrapper which includes registry etc..
-
         if(version !== 'latest' && !semver(version)) {
-          return doReject(`Invalid version '${version}' for analyser '${analyser.name}'`);
+          return Promise.reject(new VersionNotFoundError(analyser.name, version));
         }
-
-        var extractor;
-        //TODO - support other registries (extractors shoudl have common interface (fetch func and ee)
-        if(analyserConfig.registry === 'npm') {
-          extractor = new npmExtractor();
-        } else {
-          return doReject(`Unknown registry '${analyserConfig.registry}'`);
+        const locked = analyser.locked;
+        if(locked && locked.registry && locked.registry !== analyserConfig.registry){
+          return Promise.reject(new LockMismatchError(analyser.name, version, 'registry', locked.registry, analyserConfig.registry));
+        }
+        if(locked && locked.integrity){
+          //pin the locked hash, as if it were in the analysers.json entry - so npm checks it before unpacking
+          const pinned = _.assign({}, analyserConfig.integrity);
+          pinned[version] = locked.integrity;
+          analyserConfig = _.assign({}, analyserConfig, {integrity: pinned});
         }
-        proxyAll(extractor, self);
 
-        return extractor.fetch(analyser, version, self.ANALYSER_INSTALL_DIR)
-          .then(function(){
-            return doResolve(config);  //return the newly installed analyser config
-          })
+        return createExtractor(analyser.name, analyserConfig)
+          .then(function(extractor){
+            return installStaged(extractor, analyser, version, analyserConfig);  //resolves to the installed config
+          });
       })
   }
 
+  /**
+   * Have the extractor install into a staging dir, then move the result into place and mark it complete.
+   * A failed install leaves nothing behind, and an existing install is only replaced once the new one succeeds.
+   * The new analyser's config must be valid (see configValidation.js).
+   * @param extractor
+   * @param analyser {name, failCiOnError, locked} - what is fetched must match the tarball and integrity of any
+   *        locked lockfile entry
+   * @param version the version to install
+   * @param analyserEntry the analysers.json entry, recorded in the install's manifest
+   * @param source (optional) {tarball, integrity} to record in the manifest instead of those the extractor fetched
+   * @returns Promise the installed analyser's config
+   */
+  function installStaged(extractor, analyser, version, analyserEntry, source){
+    const installDir = self.ANALYSER_INSTALL_DIR;
+    const dirName = analyserDirs.dirName(analyser.name, version);
+    const stagingDir = path.join(installMarkers.stagingPath(installDir), `${dirName}-${process.pid}-${Date.now()}`);
+    const pathToAnalyser = path.join(installDir, dirName);
+    var fetched, installedConfig;
+
+    return mkdirs(stagingDir)
+      .then(function(){
+        return extractor.fetch(analyser, version, stagingDir);
+      })
+      .then(function(fetchResult){
+        fetched = _.assign({}, fetchResult, source);
+        return checkLocked(analyser, version, fetched);
+      })
+      .then(function(){
+        return readAnalyserConfig(path.join(stagingDir, dirName));  //don't install an analyser we can't use
+      })
+      .then(function(config){
+        installedConfig = config;
+        return installMarkers.clear(installDir, dirName);
+      })
+      .then(function(){
+        return remove(pathToAnalyser);
+      })
+      .then(function(){
+        return rename(path.join(stagingDir, dirName), pathToAnalyser);
+      })
+      .then(function(){
+        return diskUsage.sizeOf(pathToAnalyser);
+      })
+      .then(function(bytes){
+        return installMarkers.markComplete(installDir, dirName, {
+          name: analyser.name,
+          version: version,
+          registry: analyserEntry.registry,
+          source: analyserEntry.source,
+          tarball: fetched.tarball,
+          integrity: fetched.integrity,
+          bytes: bytes
+        });
+      })
+      .then(function(){
+        return installedConfig;
+      })
+      .finally(function(){
+        return remove(stagingDir)
+          .catch(function(err){
+            debug(`unable to remove staging dir ${stagingDir}: ${err.message}`);
+          });
+      });
+  }
+
+  /**
+   * Check a fetched analyser came from the tarball, with the integrity, in its lockfile entry - whichever extractor
+   * fetched it.
+   * @param analyser {name, locked}
+   * @param version
+   * @param fetched {tarball, integrity} as returned by the extractor
+   * @returns Promise rejects with LockMismatchError or IntegrityError
+   */
+  function checkLocked(analyser, version, fetched){
+    const locked = analyser.locked;
+    if(!locked){
+      return doResolve();
+    }
+    if(locked.tarball && locked.tarball !== fetched.tarball){
+      return Promise.reject(new LockMismatchError(analyser.name, version, 'tarball', locked.tarball, fetched.tarball));
+    }
+    if(locked.integrity && locked.integrity !== fetched.integrity){
+      return Promise.reject(new IntegrityError(analyser.name, version, locked.integrity, fetched.integrity));
+    }
+    return doResolve();
+  }
+
+  /**
+   * Create the extractor for an analysers.json entry and proxy its events through this manager.
+   * @param analyserName
+   * @param analyserConfig the analysers.json entry
+   * @returns Promise extractor, rejects with UnknownRegistryError if the registry is not registered
+   */
+  function createExtractor(analyserName, analyserConfig){
+    try {
+      var extractor = extractorRegistry.create(analyserName, analyserConfig, {
+        npm: self.NPM_OPTIONS,
+        http: self.HTTP_POLICY,
+        tarballCache: self.TARBALL_CACHE,
+        installScript: self.INSTALL_SCRIPT_OPTIONS
+      });
+      proxyAll(extractor, self);
+      return doResolve(extractor);
+    } catch(err){
+      return Promise.reject(err);
+    }
+  }
+
   function getAllAnalyserEntry(analyserName){
     return self.fetchAnalyserList()
       .then(function (ALL_ANALYSERS) {
@@ -415,15 +1755,22 @@ function AnalyserManager(analyserInstallLocation){
     }
   }
 
+  /**
+   * @returns Boolean true if dir is a directory or a link to one - false if it can't be read, e.g. a dangling link
+   */
+  function isDirectory(dir){
+    try {
+      return fs.statSync(dir).isDirectory();
+    } catch (e){
+      return false;
+    }
+  }
+
   function doResolve(stuff){
     return Promise.resolve(stuff);
   }
   function doReject(errMsg, err){
-    if(err && err.message){
-      return Promise.reject(Error(`${errMsg}\n${err.message}`, err));
-    } else {
-      return Promise.reject(Error(errMsg, err));
-    }
+    return Promise.reject(wrapError(errMsg, err));
   }
 
 }
@@ -0,0 +1,280 @@
+/**
+ * Cross-process locks on analyser dirs, so processes sharing an install dir don't install the same
+ * analyser@version at the same time.
+ * A lock is the file <install dir>/.locks/<name@version>.lock holding {pid, hostname, acquiredAt}. Its mtime is
+ * refreshed while it is held, and a lock is stale (and taken over) once its mtime is older than the stale timeout,
+ * or when its process is no longer running on this host. A holder only removes the lock on release if it is still
+ * theirs. Other files can be locked the same way with a lock file of their own (see acquireFile).
+ *
+ * Processes using an analyser (e.g. running it) mark it in use with <install dir>/.inuse/<name@version>/<holder> files,
+ * so it is not uninstalled underneath them. Any number of processes can use an analyser at once.
+ */
+
+"use strict";
+
+const os = require('os');
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:lock');
+
+const LockTimeoutError = require('./errors/LockTimeoutError');
+
+const open = Promise.promisify(fs.open);
+const write = Promise.promisify(fs.write);
+const close = Promise.promisify(fs.close);
+const mkdirs = Promise.promisify(fs.mkdirs);
+const unlink = Promise.promisify(fs.unlink);
+const outputJson = Promise.promisify(fs.outputJson);
+
+const LOCK_DIR_NAME = '.locks';
+const IN_USE_DIR_NAME = '.inuse';
+
+exports.LOCK_DIR_NAME = LOCK_DIR_NAME;
+exports.IN_USE_DIR_NAME = IN_USE_DIR_NAME;
+
+var inUseCount = 0;
+var takeoverCount = 0;
+
+exports.DEFAULTS = {
+  stale: 10 * 60 * 1000,        //ms without a refresh before a lock is considered abandoned
+  timeout: 15 * 60 * 1000,      //ms to wait for a lock before giving up
+  retryInterval: 250            //ms between attempts to take the lock
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @returns String abs path of the lock file
+ */
+exports.lockPath = function(installDir, lockName){
+  return path.join(installDir, LOCK_DIR_NAME, `${lockName}.lock`);
+};
+
+/**
+ * Take the lock, waiting for other holders to release it.
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @param options (optional) {stale, timeout, retryInterval, onWait: function(holder) called once if we have to wait}
+ * @returns Promise release function, which returns a Promise
+ */
+exports.acquire = function(installDir, lockName, options){
+  const lockFile = exports.lockPath(installDir, lockName);
+  return mkdirs(path.dirname(lockFile))
+    .then(function(){
+      return exports.acquireFile(lockFile, options);
+    });
+};
+
+/**
+ * Take a lock held in lockFile, waiting for other holders to release it. lockFile's dir must exist.
+ * @param lockFile abs path of the lock file, e.g. <file>.lock to lock a file shared by processes
+ * @param options (optional) see acquire()
+ * @returns Promise release function, which returns a Promise
+ */
+exports.acquireFile = function(lockFile, options){
+  options = _.assign({}, exports.DEFAULTS, options);
+
+  const lockName = path.basename(lockFile, '.lock');
+  const giveUpAt = Date.now() + options.timeout;
+  var waited = false;
+
+  return attempt();
+
+  function attempt(){
+    const holder = {pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString()};
+    return open(lockFile, 'wx')
+      .then(function(fd){
+        return write(fd, JSON.stringify(holder))
+          .finally(function(){
+            return close(fd);
+          })
+          .then(function(){
+            debug(`acquired ${lockName}`);
+            return holdLock(lockFile, holder, options.stale);
+          });
+      }, function(err){
+        if(err.code !== 'EEXIST'){
+          return Promise.reject(err);
+        }
+
+        var current = readHolder(lockFile);
+        if(isStale(lockFile, current, options.stale)){
+          debug(`taking over stale lock ${lockName} from ${JSON.stringify(current)}`);
+          removeStaleLock(lockFile, options.stale);
+          return attempt();
+        }
+        if(Date.now() >= giveUpAt){
+          return Promise.reject(new LockTimeoutError(lockName, current));
+        }
+        if(!waited && options.onWait){
+          options.onWait(current);
+        }
+        waited = true;
+        return Promise.delay(options.retryInterval).then(attempt);
+      });
+  }
+};
+
+/**
+ * Run fn while holding the lock, releasing it however fn finishes.
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @param options (optional) see acquire()
+ * @param fn function returning a Promise
+ * @returns Promise the result of fn
+ */
+exports.withLock = function(installDir, lockName, options, fn){
+  return runLocked(exports.acquire(installDir, lockName, options), fn);
+};
+
+/**
+ * Run fn while holding the lock in lockFile, releasing it however fn finishes.
+ * @param lockFile abs path of the lock file, see acquireFile()
+ * @param options (optional) see acquire()
+ * @param fn function returning a Promise
+ * @returns Promise the result of fn
+ */
+exports.withFileLock = function(lockFile, options, fn){
+  return runLocked(exports.acquireFile(lockFile, options), fn);
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @param stale (optional) ms, defaults to DEFAULTS.stale
+ * @returns Boolean true if a live (not stale) lock is held by anyone
+ */
+exports.isLocked = function(installDir, lockName, stale){
+  const lockFile = exports.lockPath(installDir, lockName);
+  return fs.existsSync(lockFile) && !isStale(lockFile, readHolder(lockFile), stale || exports.DEFAULTS.stale);
+};
+
+/**
+ * Mark an analyser dir as in use by this process until the returned function is called.
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @returns Promise release function, which returns a Promise
+ */
+exports.markInUse = function(installDir, lockName){
+  const useFile = path.join(installDir, IN_USE_DIR_NAME, lockName, `${os.hostname()}-${process.pid}-${++inUseCount}.json`);
+
+  return outputJson(useFile, {pid: process.pid, hostname: os.hostname(), since: new Date().toISOString()})
+    .then(function(){
+      return function release(){
+        return unlink(useFile)
+          .catch(function(err){
+            debug(`unable to release ${useFile}: ${err.message}`);
+          });
+      };
+    });
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param lockName e.g. my-analyser@1.0.0
+ * @returns Boolean true if any process that is still running has the analyser dir in use. Marks made on other
+ *          hosts can't be checked, so always count.
+ */
+exports.isInUse = function(installDir, lockName){
+  const useDir = path.join(installDir, IN_USE_DIR_NAME, lockName);
+  var useFiles;
+  try {
+    useFiles = fs.readdirSync(useDir);
+  } catch(e){
+    return false;
+  }
+
+  return _.some(useFiles, function(useFile){
+    var holder = readHolder(path.join(useDir, useFile));
+    return !holder || holder.hostname !== os.hostname() || exports.isProcessRunning(holder.pid);
+  });
+};
+
+/**
+ * @param pid
+ * @returns Boolean true if a process with this pid is running on this host
+ */
+exports.isProcessRunning = function(pid){
+  try {
+    process.kill(pid, 0); //signal 0 only checks the process exists
+    return true;
+  } catch(e){
+    return e.code === 'EPERM';
+  }
+};
+
+function runLocked(acquiring, fn){
+  return acquiring
+    .then(function(release){
+      return Promise.try(fn)
+        .finally(release);
+    });
+}
+
+function holdLock(lockFile, holder, stale){
+  var heartbeat = setInterval(function(){
+    var now = new Date();
+    fs.utimes(lockFile, now, now, function(){});
+  }, Math.max(stale / 2, 1));
+  heartbeat.unref();
+
+  return function release(){
+    clearInterval(heartbeat);
+    if(!_.isEqual(readHolder(lockFile), holder)){
+      debug(`not releasing lock ${lockFile}, it was taken over`);
+      return Promise.resolve();
+    }
+    return unlink(lockFile)
+      .catch(function(err){
+        debug(`unable to release lock ${lockFile}: ${err.message}`);
+      });
+  };
+}
+
+/**
+ * Remove a stale lock so it can be taken. Processes may decide the same lock is stale at once, and one of them may
+ * have taken it by the time another removes it - so the lock is moved aside (which only one process can do), and only
+ * removed if what was moved is still stale. A live lock moved by mistake is put back, unless someone has taken the
+ * lock meanwhile.
+ */
+function removeStaleLock(lockFile, stale){
+  const movedFile = `${lockFile}.${os.hostname()}-${process.pid}-${++takeoverCount}.stale`;
+  try {
+    fs.renameSync(lockFile, movedFile);
+  } catch(e){
+    return;  //someone else got there first
+  }
+
+  try {
+    if(!isStale(movedFile, readHolder(movedFile), stale)){
+      fs.linkSync(movedFile, lockFile);
+    }
+  } catch(e){
+    debug(`unable to put back lock ${lockFile}: ${e.message}`);
+  } finally {
+    fs.unlink(movedFile, function(){});
+  }
+}
+
+function readHolder(file){
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch(e){
+    return null;  //being written, or already gone
+  }
+}
+
+function isStale(lockFile, holder, stale){
+  try {
+    if(Date.now() - fs.statSync(lockFile).mtime.getTime() > stale){
+      return true;
+    }
+  } catch(e){
+    return true;  //gone
+  }
+
+  return !!holder && holder.hostname === os.hostname() && !exports.isProcessRunning(holder.pid);
+}
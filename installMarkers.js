@@ -0,0 +1,202 @@
+/**
+ * Tracks which analyser dirs in the install dir are complete installs.
+ * Installs are done in a staging dir and renamed into place, then a marker is written to
+ * <install dir>/.installed/<name@version>.json - a name@version dir without a marker is a broken install.
+ * The marker doubles as a manifest of the install: {name, version, registry, source, tarball, integrity, bytes,
+ * installedAt}.
+ * Analysers installed before markers were written have none, so count as broken until they are adopted (see
+ * adoptLegacyInstall) - a dir left by a failed bin/install looks just the same, so this is never done implicitly.
+ */
+
+"use strict";
+
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const jsonWithComments = require('strip-json-comments');
+const semver = require('semver');
+const _ = require('lodash');
+
+const analyserDirs = require('./analyserDirs');
+const installLock = require('./installLock');
+
+const outputJson = Promise.promisify(fs.outputJson);
+const readJson = Promise.promisify(fs.readJson);
+const readdir = Promise.promisify(fs.readdir);
+const remove = Promise.promisify(fs.remove);
+
+const MARKER_DIR_NAME = '.installed';
+const STAGING_DIR_NAME = '.staging';
+const MANIFEST_FIELDS = ['name', 'version', 'registry', 'source', 'tarball', 'integrity', 'bytes'];
+
+exports.MARKER_DIR_NAME = MARKER_DIR_NAME;
+exports.STAGING_DIR_NAME = STAGING_DIR_NAME;
+
+/**
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @returns String abs path of the marker
+ */
+exports.markerPath = function(installDir, dirName){
+  return path.join(installDir, MARKER_DIR_NAME, `${dirName}.json`);
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @returns String abs path of the staging dir
+ */
+exports.stagingPath = function(installDir){
+  return path.join(installDir, STAGING_DIR_NAME);
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @returns Boolean true if the analyser dir finished installing
+ */
+exports.isComplete = function(installDir, dirName){
+  try {
+    return fs.statSync(exports.markerPath(installDir, dirName)).isFile();
+  } catch(e){
+    return false;
+  }
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @returns Object the details stored in the marker, or null if it is not complete
+ */
+exports.read = function(installDir, dirName){
+  try {
+    return JSON.parse(fs.readFileSync(exports.markerPath(installDir, dirName), 'utf8'));
+  } catch(e){
+    return null;
+  }
+};
+
+/**
+ * Read all the markers in the install dir. Markers written by older versions may only have some of the details,
+ * so name and version fall back to those in the dir name.
+ * @param installDir the analyser install dir
+ * @returns Promise Array of marker details, each with the dirName it belongs to
+ */
+exports.list = function(installDir){
+  const markerDir = path.join(installDir, MARKER_DIR_NAME);
+
+  return readdir(markerDir)
+    .catch(function(){
+      return [];
+    })
+    .then(function(files){
+      return Promise.map(files.filter(function(file){
+        return /\.json$/.test(file);
+      }), function(file){
+        const dirName = file.replace(/\.json$/, '');
+        return readJson(path.join(markerDir, file))
+          .catch(function(){
+            return {};
+          })
+          .then(function(marker){
+            return _.assign({}, analyserDirs.parse(dirName), marker, {dirName: dirName});
+          });
+      });
+    });
+};
+
+/**
+ * Mark an analyser dir as completely installed
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @param details {name, version, registry, source, tarball, integrity, bytes} stored in the marker
+ * @returns Promise
+ */
+exports.markComplete = function(installDir, dirName, details){
+  var marker = _.assign(_.pick(details, MANIFEST_FIELDS), {installedAt: new Date().toISOString()});
+  return outputJson(exports.markerPath(installDir, dirName), marker);
+};
+
+/**
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @returns Promise
+ */
+exports.clear = function(installDir, dirName){
+  return remove(exports.markerPath(installDir, dirName));
+};
+
+/**
+ * Mark an analyser dir installed before markers were written as complete - for migrating an install dir from
+ * versions that didn't write markers. It must be a name@semver dir with a config.json that parses, and not have an
+ * install of it in progress in the staging dir.
+ * @param installDir the analyser install dir
+ * @param dirName the analyser dir name e.g. my-analyser@1.0.0
+ * @returns Boolean true if it was adopted
+ */
+exports.adoptLegacyInstall = function(installDir, dirName){
+  const parsed = analyserDirs.parse(dirName);
+  const analyserDir = path.join(installDir, dirName);
+  if(!parsed || !semver.valid(parsed.version) || exports.isComplete(installDir, dirName) || isBeingStaged(installDir, dirName)){
+    return false;
+  }
+
+  try {
+    JSON.parse(jsonWithComments(fs.readFileSync(path.join(analyserDir, 'config.json'), 'utf8')));
+    var installedAt = fs.statSync(analyserDir).mtime;
+  } catch(e){
+    return false;
+  }
+  try {
+    fs.outputJsonSync(exports.markerPath(installDir, dirName), {name: parsed.name, version: parsed.version, installedAt: installedAt.toISOString()});
+  } catch(e){
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Find what installs that did not finish left behind: markers for analyser dirs that no longer exist, and staging
+ * dirs of processes that are no longer running.
+ * @param installDir the analyser install dir
+ * @returns {orphanedMarkers, leftoverStaging} Arrays of abs paths
+ */
+exports.findLeftovers = function(installDir){
+  const markerDir = path.join(installDir, MARKER_DIR_NAME);
+  const stagingDir = exports.stagingPath(installDir);
+
+  return {
+    orphanedMarkers: readdirOrEmpty(markerDir).filter(function(file){
+      return !fs.existsSync(path.join(installDir, file.replace(/\.json$/, '')));
+    }).map(function(file){
+      return path.join(markerDir, file);
+    }),
+    leftoverStaging: readdirOrEmpty(stagingDir).filter(function(file){
+      const pid = /-(\d+)-\d+$/.exec(file);  //staged as <name>-<pid>-<timestamp>
+      return !pid || !installLock.isProcessRunning(parseInt(pid[1], 10));
+    }).map(function(file){
+      return path.join(stagingDir, file);
+    })
+  };
+};
+
+function readdirOrEmpty(dir){
+  try {
+    return fs.readdirSync(dir);
+  } catch(e){
+    return [];
+  }
+}
+
+/**
+ * @returns Boolean true if the staging dir has an install of dirName, which may be being moved into place
+ */
+function isBeingStaged(installDir, dirName){
+  try {
+    return _.some(fs.readdirSync(exports.stagingPath(installDir)), function(file){
+      return file.indexOf(`${dirName}-`) === 0 && /^\d+-\d+$/.test(file.substr(dirName.length + 1));
+    });
+  } catch(e){
+    return false;
+  }
+}
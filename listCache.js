@@ -0,0 +1,75 @@
+/**
+ * Persists the last good analyser list inside the analyser install dir, so it can be served within a TTL
+ * and used when the network is unavailable.
+ */
+
+"use strict";
+
+const crypto = require('crypto');
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const debug = require('debug')('analyser-manager:cache');
+
+const readJson = Promise.promisify(fs.readJson);
+const writeJson = Promise.promisify(fs.writeJson);
+const rename = Promise.promisify(fs.rename);
+
+const CACHE_FILE_NAME = '.analyser-list-cache.json';
+
+exports.CACHE_FILE_NAME = CACHE_FILE_NAME;
+
+/**
+ * A key identifying a set of sources, so a cache written for different sources is never used
+ * @param sources Array of analyser list sources
+ * @returns String
+ */
+exports.keyFor = function(sources){
+  return crypto.createHash('sha1').update(JSON.stringify(sources)).digest('hex');
+};
+
+/**
+ * Read the cache for a set of sources
+ * @param installDir the analyser install dir
+ * @param key from keyFor()
+ * @returns Promise {fetchedAt: Number, http: {url: {etag, analysers}}, analysers: Object} or null if no usable cache
+ */
+exports.read = function(installDir, key){
+  return readJson(path.join(installDir, CACHE_FILE_NAME))
+    .then(function(cache){
+      if(cache && cache.key === key && cache.analysers){
+        return cache;
+      } else {
+        debug('cache is for different sources');
+        return null;
+      }
+    }, function(){
+      return null;
+    });
+};
+
+/**
+ * Write the cache - never fails, a cache we can't write is just a cache miss next time
+ * @param installDir the analyser install dir
+ * @param key from keyFor()
+ * @param analysers the merged analyser list
+ * @param httpCache {url: {etag, analysers}}
+ * @param fetchedAt (optional) ms when the list was fetched, default now - 0 for a list that was never fetched, which
+ *        is only used offline or when the list can't be fetched
+ * @returns Promise
+ */
+exports.write = function(installDir, key, analysers, httpCache, fetchedAt){
+  var cacheFile = path.join(installDir, CACHE_FILE_NAME);
+  var tmpFile = `${cacheFile}.${process.pid}.tmp`;
+  var cache = {key: key, fetchedAt: fetchedAt === undefined ? Date.now() : fetchedAt, http: httpCache, analysers: analysers};
+
+  return writeJson(tmpFile, cache)
+    .then(function(){
+      return rename(tmpFile, cacheFile); //so readers never see a half written file
+    })
+    .catch(function(err){
+      debug(`unable to write analyser list cache: ${err.message}`);
+      fs.remove(tmpFile, function(){});
+    });
+};
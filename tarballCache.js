@@ -0,0 +1,220 @@
+/**
+ * A content addressed cache of downloaded analyser tarballs, shared by every install dir on the machine so the same
+ * tarball is only downloaded once. Where the shared dir can't be written it is kept in the install dir instead (see
+ * defaultDir). Tarballs are stored by the strongest hash in their integrity string:
+ *   <cache dir>/sha512-<hex digest>.tgz
+ * and checked against it when read. Once the cache grows past its size limit the least recently used tarballs
+ * are removed. A cache that can't be read or written is skipped, rather than failing the install.
+ */
+
+"use strict";
+
+const os = require('os');
+const path = require('path');
+
+const fs = require('fs-extra');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const debug = require('debug')('analyser-manager:tarballs');
+
+const integrity = require('./extractors/integrity');
+
+const stat = Promise.promisify(fs.stat);
+const readdir = Promise.promisify(fs.readdir);
+const utimes = Promise.promisify(fs.utimes);
+const copy = Promise.promisify(fs.copy);
+const rename = Promise.promisify(fs.rename);
+const remove = Promise.promisify(fs.remove);
+const mkdirs = Promise.promisify(fs.mkdirs);
+
+const DIR_NAME = '.tarball-cache';
+const DEFAULT_MAX_SIZE = 500 * 1024 * 1024;
+
+exports.DIR_NAME = DIR_NAME;
+exports.DEFAULT_MAX_SIZE = DEFAULT_MAX_SIZE;
+
+/**
+ * @returns String abs path of the tarball cache shared by every install dir, ~/.sidekick/tarball-cache
+ */
+exports.sharedDir = function(){
+  return path.join(os.homedir(), '.sidekick', 'tarball-cache');
+};
+
+/**
+ * The shared cache, or the install dir's own if the shared cache can't be written. Nothing is created until a
+ * tarball is cached.
+ * @param installDir the analyser install dir
+ * @returns String abs path of the cache dir
+ */
+exports.defaultDir = function(installDir){
+  const sharedDir = exports.sharedDir();
+  return isWritable(sharedDir) ? sharedDir : path.join(installDir, DIR_NAME);
+};
+
+/**
+ * @param cacheDir
+ * @param integrityString the tarball's integrity string or shasum
+ * @returns String abs path the tarball is cached at, or null if integrityString has no supported hash
+ */
+exports.fileFor = function(cacheDir, integrityString){
+  const hash = integrity.strongest(integrityString);
+  return hash ? path.join(cacheDir, `${hash.algorithm}-${integrity.toHex(hash)}.tgz`) : null;
+};
+
+/**
+ * Find a cached tarball, marking it as recently used. A cached tarball that doesn't match its hash is removed.
+ * @param cacheDir
+ * @param integrityString
+ * @returns Promise abs path of the cached tarball, or null if it is not cached
+ */
+exports.get = function(cacheDir, integrityString){
+  const file = exports.fileFor(cacheDir, integrityString);
+  if(!file){
+    return Promise.resolve(null);
+  }
+
+  return integrity.check(file, [integrityString])
+    .then(function(mismatch){
+      if(mismatch){
+        debug(`removing corrupt cached tarball ${file}`);
+        return remove(file)
+          .then(function(){
+            return null;
+          });
+      }
+      const now = new Date();
+      return utimes(file, now, now)
+        .catch(function(err){
+          debug(`unable to mark ${file} as used: ${err.message}`);
+        })
+        .then(function(){
+          return file;
+        });
+    }, function(){
+      return null;  //not cached
+    })
+    .catch(function(err){
+      debug(`unable to read the tarball cache: ${err.message}`);
+      return null;
+    });
+};
+
+/**
+ * Add a tarball to the cache, then evict the least recently used tarballs until the cache fits in maxSize.
+ * @param cacheDir
+ * @param integrityString the integrity the tarball has been verified against
+ * @param tarball abs path of the tarball to add
+ * @param maxSize (optional) bytes, default DEFAULT_MAX_SIZE
+ * @returns Promise
+ */
+exports.put = function(cacheDir, integrityString, tarball, maxSize){
+  const file = exports.fileFor(cacheDir, integrityString);
+  if(!file){
+    return Promise.resolve();
+  }
+  const tmpFile = `${file}.${process.pid}-${Date.now()}.tmp`;
+
+  return mkdirs(cacheDir)
+    .then(function(){
+      return copy(tarball, tmpFile);
+    })
+    .then(function(){
+      return rename(tmpFile, file);  //so nothing reads a partial tarball
+    })
+    .then(function(){
+      return exports.evict(cacheDir, maxSize === undefined ? DEFAULT_MAX_SIZE : maxSize);
+    })
+    .catch(function(err){
+      debug(`unable to cache ${tarball}: ${err.message}`);
+      return remove(tmpFile)
+        .catch(_.noop);
+    });
+};
+
+/**
+ * Remove the least recently used tarballs until the cache fits in maxSize
+ * @param cacheDir
+ * @param maxSize bytes
+ * @returns Promise Array of the files removed
+ */
+exports.evict = function(cacheDir, maxSize){
+  return listTarballs(cacheDir)
+    .then(function(tarballs){
+      var total = _.sum(tarballs, 'size');
+      const toRemove = [];
+      _.each(_.sortBy(tarballs, 'mtime'), function(tarball){
+        if(total > maxSize){
+          toRemove.push(tarball.file);
+          total -= tarball.size;
+        }
+      });
+      debug(`evicting ${JSON.stringify(toRemove)}`);
+      return Promise.map(toRemove, function(file){
+        return remove(file);
+      })
+        .then(function(){
+          return toRemove;
+        });
+    });
+};
+
+/**
+ * Remove every cached tarball
+ * @param cacheDir
+ * @returns Promise {files, bytes} the number of tarballs removed and the space they used
+ */
+exports.clear = function(cacheDir){
+  return listTarballs(cacheDir)
+    .then(function(tarballs){
+      return Promise.map(tarballs, function(tarball){
+        return remove(tarball.file);
+      })
+        .then(function(){
+          return {files: tarballs.length, bytes: _.sum(tarballs, 'size')};
+        });
+    });
+};
+
+/**
+ * @returns Promise Array of {file, size, mtime}
+ */
+function listTarballs(cacheDir){
+  return readdir(cacheDir)
+    .catch(function(){
+      return [];
+    })
+    .then(function(files){
+      return Promise.map(_.filter(files, function(file){
+        return /\.tgz$/.test(file);
+      }), function(file){
+        const filePath = path.join(cacheDir, file);
+        return stat(filePath)
+          .then(function(fileStat){
+            return {file: filePath, size: fileStat.size, mtime: fileStat.mtime.getTime()};
+          }, function(){
+            return null;  //removed since we listed it
+          });
+      });
+    })
+    .then(_.compact);
+}
+
+/**
+ * @returns Boolean true if dir, or the nearest dir above it that exists, can be written
+ */
+function isWritable(dir){
+  try {
+    if(!fs.statSync(dir).isDirectory()){
+      return false;
+    }
+  } catch(e){
+    const parent = path.dirname(dir);
+    return e.code === 'ENOENT' && parent !== dir && isWritable(parent);
+  }
+  try {
+    fs.accessSync(dir, fs.W_OK);
+    return true;
+  } catch(e){
+    return false;
+  }
+}
@@ -0,0 +1,77 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+
+var AnalyserManger = require('../../analyser-manager');
+var analyserList = require('../analyserList');
+
+var fixturesDir = path.join(__dirname, '/idontexist/listFixtures');
+var publicList = path.join(fixturesDir, 'public.json');
+
+describe('analyser list sources', function() {
+
+  before(function(){
+    fs.mkdirsSync(fixturesDir);
+    fs.writeFileSync(publicList, `{
+      // comments are allowed
+      "sidekick-david": {"registry": "npm", "config": {"shortName": "david-dm"}},
+      "sidekick-eslint": {"registry": "npm", "config": {"shortName": "eslint"}}
+    }`);
+  });
+
+  it('merges sources with later sources taking precedence', function() {
+    var am = new AnalyserManger(fixturesDir, {sources: [
+      publicList,
+      {name: 'company', analysers: {
+        "sidekick-eslint": {"registry": "git", "url": "file:///repos/eslint.git", "config": {"shortName": "eslint"}},
+        "company-analyser": {"registry": "local", "path": "/analysers/company", "config": {}}
+      }}
+    ]});
+
+    return am.init().then(function(){
+      expect(am.ALL_ANALYSERS).to.have.keys(['sidekick-david', 'sidekick-eslint', 'company-analyser']);
+      expect(am.ALL_ANALYSERS['sidekick-david']).to.have.property('source', publicList);
+      expect(am.ALL_ANALYSERS['sidekick-eslint']).to.have.property('registry', 'git');
+      expect(am.ALL_ANALYSERS['sidekick-eslint']).to.have.property('source', 'company');
+      expect(am.ALL_ANALYSERS['company-analyser']).to.have.property('source', 'company');
+    });
+  });
+
+  it('falls back to the next mirror of a source', function() {
+    return analyserList.fetchAll([{name: 'public', path: [path.join(fixturesDir, 'missing.json'), publicList]}]).then(function(list){
+      expect(list['sidekick-david']).to.have.property('source', 'public');
+    });
+  });
+
+  it('ignores optional sources that fail', function() {
+    return analyserList.fetchAll([publicList, {path: path.join(fixturesDir, 'missing.json'), optional: true}]).then(function(list){
+      expect(list).to.have.keys(['sidekick-david', 'sidekick-eslint']);
+    });
+  });
+
+  it('fails when a required source fails', function() {
+    var am = new AnalyserManger(fixturesDir, {sources: [publicList, path.join(fixturesDir, 'missing.json')]});
+
+    return am.fetchAnalyserList().then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/Unable to fetch list of analysers/);
+      expect(err.message).to.match(/missing\.json/);
+    });
+  });
+
+  it('rejects invalid sources', function() {
+    return analyserList.fetchAll([42]).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err).to.be.an.instanceof(TypeError);
+    });
+  });
+
+  after(function(){
+    fs.removeSync(fixturesDir);
+  });
+
+});
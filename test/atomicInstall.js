@@ -0,0 +1,140 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analysersDir = path.join(__dirname, '/idontexist/atomicFixtures');
+
+describe('atomic installs', function() {
+
+  var am, failInstall;
+
+  var FlakyExtractor = fakeExtractor({
+    files: function(){
+      return {'config.json': {shortName: 'flaky', attempt: Date.now()}};
+    },
+    result: function(){
+      return failInstall ? Promise.reject(new Error('bin/install failed')) : Promise.resolve();
+    }
+  });
+
+  function readdir(dir){
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  }
+
+  before(function(){
+    AnalyserManger.registerExtractor('flaky', FlakyExtractor);
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+      "flaky-analyser": {"registry": "flaky", "config": {"shortName": "flaky"}}
+    }}]});
+    return am.init();
+  });
+
+  beforeEach(function(){
+    failInstall = false;
+  });
+
+  it('leaves nothing behind when an install fails', function() {
+    failInstall = true;
+
+    return am.installAnalyser({name: 'flaky-analyser'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.equal('bin/install failed');
+      expect(fs.existsSync(path.join(analysersDir, 'flaky-analyser@1.0.0'))).to.be.false;
+      expect(readdir(path.join(analysersDir, '.staging'))).to.be.empty;
+    });
+  });
+
+  it('marks successful installs complete', function() {
+    return am.installAnalyser({name: 'flaky-analyser'}).then(function(analyser){
+      expect(fs.existsSync(path.join(analysersDir, '.installed', 'flaky-analyser@1.0.0.json'))).to.be.true;
+      expect(am.getAllInstalledAnalysers()).to.deep.equal(['flaky-analyser@1.0.0']);
+      expect(analyser).to.have.deep.property('config.shortName', 'flaky');
+    });
+  });
+
+  it('keeps the existing install when a forced reinstall fails', function() {
+    var configFile = path.join(analysersDir, 'flaky-analyser@1.0.0', 'config.json');
+    var before = fs.readJsonSync(configFile);
+    failInstall = true;
+
+    return am.installAnalyser({name: 'flaky-analyser'}, true).then(function(){
+      throw new Error('should have failed');
+    }, function(){
+      expect(fs.readJsonSync(configFile)).to.deep.equal(before);
+      expect(am.getAllInstalledAnalysers()).to.deep.equal(['flaky-analyser@1.0.0']);
+    });
+  });
+
+  it('ignores and replaces installs that did not complete', function() {
+    fs.removeSync(path.join(analysersDir, '.installed', 'flaky-analyser@1.0.0.json'));
+
+    expect(am.getAllInstalledAnalysers()).to.be.empty;
+    expect(am.getLatestVersionOfInstalledAnalyser('flaky-analyser')).to.be.null;
+
+    return am.fetchAnalyser('flaky-analyser', '1.0.0').then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/did not finish installing/);
+      return am.installAnalyser({name: 'flaky-analyser', version: '1.0.0'});
+    }).then(function(){
+      expect(am.getAllInstalledAnalysers()).to.deep.equal(['flaky-analyser@1.0.0']);
+    });
+  });
+
+  it('only adopts installs from before completed installs were marked when asked to', function() {
+    var legacyDir = path.join(analysersDir, 'flaky-analyser@0.5.0');
+    var markerFile = path.join(analysersDir, '.installed', 'flaky-analyser@0.5.0.json');
+    fs.outputJsonSync(path.join(legacyDir, 'config.json'), {shortName: 'flaky'});
+    fs.mkdirsSync(path.join(analysersDir, '.staging', 'flaky-analyser@0.5.0-999999999-1'));
+
+    expect(am.getInstalledVersions('flaky-analyser')).to.deep.equal(['1.0.0']);
+    expect(fs.existsSync(markerFile)).to.be.false;
+
+    return am.adoptLegacyInstalls()
+      .then(function(adopted){
+        expect(adopted).to.be.empty;  //may be being moved into place
+        fs.removeSync(path.join(analysersDir, '.staging'));
+        return am.adoptLegacyInstalls();
+      })
+      .then(function(adopted){
+        expect(adopted).to.deep.equal(['flaky-analyser@0.5.0']);
+        expect(am.getInstalledVersions('flaky-analyser')).to.deep.equal(['0.5.0', '1.0.0']);
+        expect(fs.readJsonSync(markerFile)).to.include({name: 'flaky-analyser', version: '0.5.0'});
+        return am.cleanIncompleteInstalls();
+      })
+      .then(function(removed){
+        expect(removed).to.be.empty;
+        return am.uninstallAnalyser('flaky-analyser', '0.5.0');
+      })
+      .then(function(){
+        expect(fs.existsSync(legacyDir)).to.be.false;
+        expect(fs.existsSync(markerFile)).to.be.false;
+      });
+  });
+
+  it('cleans up broken installs', function() {
+    var brokenDir = path.join(analysersDir, 'flaky-analyser@0.9.0');
+    var deadStagingDir = path.join(analysersDir, '.staging', 'flaky-analyser@0.9.1-999999999-1');
+    var orphanMarker = path.join(analysersDir, '.installed', 'flaky-analyser@0.8.0.json');
+    fs.mkdirsSync(brokenDir);
+    fs.mkdirsSync(deadStagingDir);
+    fs.outputJsonSync(orphanMarker, {});
+
+    return am.cleanIncompleteInstalls().then(function(removed){
+      expect(removed.sort()).to.deep.equal([brokenDir, orphanMarker, deadStagingDir].sort());
+      expect(am.getAllInstalledAnalysers()).to.deep.equal(['flaky-analyser@1.0.0']);
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('flaky');
+    fs.removeSync(analysersDir);
+  });
+
+});
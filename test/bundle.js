@@ -0,0 +1,142 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var execSync = require('child_process').execSync;
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var listCache = require('../../analyser-manager/listCache');
+
+var fixturesDir = path.join(__dirname, '/idontexist/bundleFixtures');
+var sourceDir = path.join(fixturesDir, 'package');
+var sourceTarball = path.join(fixturesDir, 'bundled-analyser-1.0.0.tgz');
+var bundleFile = path.join(fixturesDir, 'analysers-bundle.tgz');
+
+describe('offline bundles', function() {
+
+  var connectedAm;
+
+  before(function(){
+    fs.removeSync(fixturesDir);
+    fs.mkdirsSync(path.join(sourceDir, 'bin'));
+    fs.writeFileSync(path.join(sourceDir, 'bin/install'), '#!/bin/sh\ntouch installed\n', {mode: 493});
+    fs.writeJsonSync(path.join(sourceDir, 'package.json'), {name: 'bundled-analyser', version: '1.0.0'});
+    fs.writeJsonSync(path.join(sourceDir, 'config.json'), {shortName: 'bundled-analyser', version: '1.0.0'});
+    execSync(`tar czf "${sourceTarball}" package`, {cwd: fixturesDir});
+
+    var sources = [{analysers: {
+      "bundled-analyser": {"registry": "local", "path": sourceTarball, "config": {}},
+      "dir-analyser": {"registry": "local", "path": sourceDir, "config": {}}
+    }}];
+    connectedAm = new AnalyserManger(path.join(fixturesDir, 'connected'), {sources: sources, tarballCache: false});
+    return connectedAm.init()
+      .then(function(){
+        return Promise.join(connectedAm.installAnalyser({name: 'bundled-analyser'}), connectedAm.installAnalyser({name: 'dir-analyser'}));
+      });
+  });
+
+  it('exports installed analysers and imports them without the network', function() {
+    var airGappedAm = new AnalyserManger(path.join(fixturesDir, 'air-gapped'), {offline: true});
+    var installing = sinon.spy();
+    airGappedAm.on('installing', installing);
+
+    return connectedAm.exportBundle(['bundled-analyser'], bundleFile)
+      .then(function(bundled){
+        expect(bundled).to.deep.equal([{name: 'bundled-analyser', version: '1.0.0'}]);
+        fs.removeSync(sourceTarball);  //only the bundle is available now
+        return airGappedAm.init();
+      })
+      .then(function(){
+        return airGappedAm.importBundle(bundleFile);
+      })
+      .then(function(results){
+        var analyserPath = path.join(fixturesDir, 'air-gapped', 'bundled-analyser@1.0.0');
+        expect(results).to.deep.equal([{name: 'bundled-analyser', version: '1.0.0', status: 'installed', path: analyserPath}]);
+        expect(fs.existsSync(path.join(analyserPath, 'installed'))).to.be.true;
+        expect(installing.firstCall.args[0][0]).to.have.property('analyser', 'bundled-analyser');  //extractor events are proxied as an args array
+        //the bundle's list was never fetched, so is not used in place of fetching a list
+        expect(fs.readJsonSync(path.join(fixturesDir, 'air-gapped', listCache.CACHE_FILE_NAME))).to.have.property('fetchedAt', 0);
+        return airGappedAm.listInstalled();
+      })
+      .then(function(installed){
+        expect(installed[0]).to.have.property('registry', 'local');
+        expect(installed[0]).to.have.property('tarball', sourceTarball);
+        return airGappedAm.installAnalyser({name: 'bundled-analyser'});
+      })
+      .then(function(analyser){
+        expect(analyser.config).to.have.property('shortName', 'bundled-analyser');
+        return airGappedAm.fetchCanonicalAnalyserConfig('bundled-analyser');
+      })
+      .then(function(){
+        return airGappedAm.importBundle(bundleFile);
+      })
+      .then(function(results){
+        expect(results[0]).to.have.property('status', 'present');
+      });
+  });
+
+  it('does not import tarballs without an integrity', function() {
+    var unpackedDir = path.join(fixturesDir, 'tampered');
+    var tamperedFile = path.join(fixturesDir, 'tampered-bundle.tgz');
+
+    fs.mkdirsSync(unpackedDir);
+    execSync(`tar xzf "${bundleFile}" --strip-components=1`, {cwd: unpackedDir});  //exported by the first test
+    var bundle = fs.readJsonSync(path.join(unpackedDir, 'bundle.json'));
+    delete bundle.analysers[0].integrity;
+    fs.writeJsonSync(path.join(unpackedDir, 'bundle.json'), bundle);
+    execSync(`tar czf "${tamperedFile}" tampered`, {cwd: fixturesDir});
+
+    return new AnalyserManger(path.join(fixturesDir, 'unchecked'), {offline: true}).importBundle(tamperedFile)
+      .then(function(results){
+        expect(results[0]).to.have.property('status', 'failed');
+        expect(results[0].error).to.have.property('code', 'ERR_INTEGRITY');
+        expect(fs.existsSync(path.join(fixturesDir, 'unchecked', 'bundled-analyser@1.0.0'))).to.be.false;
+      });
+  });
+
+  it('only exports analysers installed from a tarball', function() {
+    return connectedAm.exportBundle(['dir-analyser'], bundleFile)
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.message).to.match(/'dir-analyser@1.0.0', it was not installed from a tarball/);
+      });
+  });
+
+  it('fails to export analysers that are not installed', function() {
+    return connectedAm.exportBundle([{name: 'bundled-analyser', version: '2.0.0'}], bundleFile)
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.include({code: 'ERR_NOT_INSTALLED', analyser: 'bundled-analyser', version: '2.0.0'});
+        expect(err.message).to.match(/version '2.0.0' is not installed/);
+      });
+  });
+
+  it('rejects with a NetworkError when a tarball can not be downloaded', function() {
+    var marker = path.join(fixturesDir, 'connected', '.installed', 'bundled-analyser@1.0.0.json');
+    var manifest = fs.readJsonSync(marker);
+    fs.writeJsonSync(marker, Object.assign({}, manifest, {tarball: 'http://127.0.0.1:1/bundled-analyser-1.0.0.tgz'}));
+    var am = new AnalyserManger(path.join(fixturesDir, 'connected'), {tarballCache: false, http: {retries: 0}});
+
+    return am.exportBundle(['bundled-analyser'], bundleFile)
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.be.an.instanceof(AnalyserManger.errors.NetworkError);
+        expect(err).to.include({url: 'http://127.0.0.1:1/bundled-analyser-1.0.0.tgz', analyser: 'bundled-analyser', version: '1.0.0'});
+      })
+      .finally(function(){
+        fs.writeJsonSync(marker, manifest);
+      });
+  });
+
+  after(function(){
+    fs.removeSync(fixturesDir);
+  });
+
+});
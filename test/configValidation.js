@@ -0,0 +1,82 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var configValidation = require('../../analyser-manager/configValidation');
+
+var analysersDir = path.join(__dirname, '/idontexist/configValidationFixtures');
+
+describe('analyser config validation', function() {
+
+  it('lists every problem with its path', function() {
+    expect(configValidation.validate({shortName: 'eslint', languages: ['js'], failCiOnError: true})).to.deep.equal([]);
+    expect(configValidation.validate({languages: ['js', 5], failCiOnError: 'yes', custom: {}})).to.have.deep.members([
+      {path: '$.languages[1]', message: 'is not of a type(s) string'},
+      {path: '$.failCiOnError', message: 'is not of a type(s) boolean'},
+      {path: '$.shortName', message: 'is required'}
+    ]);
+  });
+
+  describe('installing', function() {
+
+    var am, configToInstall;
+
+    var ConfigExtractor = fakeExtractor({
+      files: function(){
+        return {'config.json': configToInstall};
+      }
+    });
+
+    before(function(){
+      fs.removeSync(analysersDir);
+      AnalyserManger.registerExtractor('configurable', ConfigExtractor);
+      am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+        "config-analyser": {"registry": "configurable", "config": {}}
+      }}]});
+      configToInstall = {shortName: 'config-analyser'};
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: 'config-analyser', version: '1.0.0'});
+      });
+    });
+
+    it('does not install an analyser with an invalid config', function() {
+      configToInstall = {shortName: ''};
+
+      return am.installAnalyser({name: 'config-analyser', version: '1.0.0'}, true).then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.name).to.equal('InvalidAnalyserConfigError');
+        expect(err.analyser).to.equal('config-analyser');
+        expect(err.problems).to.deep.equal([{path: '$.shortName', message: 'does not meet minimum length of 1'}]);
+        expect(err.message).to.contain('$.shortName: does not meet minimum length of 1');
+        return am.fetchAnalyser('config-analyser', '1.0.0');  //the existing install is kept
+      }).then(function(analyser){
+        expect(analyser.config).to.deep.equal({shortName: 'config-analyser'});
+      });
+    });
+
+    it('rejects an installed analyser whose config has become invalid', function() {
+      fs.writeJsonSync(path.join(analysersDir, 'config-analyser@1.0.0', 'config.json'), {shortName: 'config-analyser', languages: 'js'});
+
+      return am.fetchAnalyser('config-analyser', '1.0.0').then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.name).to.equal('InvalidAnalyserConfigError');
+        expect(err.version).to.equal('1.0.0');
+        expect(err.problems).to.deep.equal([{path: '$.languages', message: 'is not of a type(s) array'}]);
+      });
+    });
+
+    after(function(){
+      AnalyserManger.unregisterExtractor('configurable');
+      fs.removeSync(analysersDir);
+    });
+
+  });
+
+});
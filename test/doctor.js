@@ -0,0 +1,122 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+
+var fixturesDir = path.join(__dirname, '/idontexist/doctorFixtures');
+var analysersDir = path.join(fixturesDir, 'analysers');
+
+describe('doctor', function() {
+
+  var am;
+
+  var HealthyExtractor = fakeExtractor({
+    files: function(analyser, version){
+      return {'config.json': {shortName: analyser.name}, 'package.json': {name: analyser.name, version: version}};
+    }
+  });
+
+  before(function(){
+    AnalyserManger.registerExtractor('healthy', HealthyExtractor);
+  });
+
+  beforeEach(function(){
+    fs.removeSync(fixturesDir);
+    var analysers = _.zipObject(_.map(['good-analyser', 'broken-analyser', 'incomplete-analyser'], function(name){
+      return [name, {"registry": "healthy", "config": {}}];
+    }));
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: analysers}]});
+
+    return am.init()
+      .then(function(){
+        return Promise.each(['good-analyser', 'broken-analyser'], function(name){
+          return am.installAnalyser({name: name, version: '1.0.0'});
+        });
+      })
+      .then(function(){
+        fs.writeFileSync(path.join(analysersDir, 'broken-analyser@1.0.0', 'config.json'), '{not json');
+        fs.mkdirsSync(path.join(analysersDir, 'incomplete-analyser@1.0.0'));
+        fs.mkdirsSync(path.join(analysersDir, 'old-analyser'));
+        fs.writeFileSync(path.join(analysersDir, 'good-analyser-1.0.0.tgz'), '');
+        fs.outputJsonSync(path.join(analysersDir, '.installed', 'gone-analyser@1.0.0.json'), {});
+        fs.mkdirsSync(path.join(analysersDir, '.staging', 'gone-analyser@1.0.0-2147483-1'));
+      });
+  });
+
+  it('reports problems with their severity and fix', function() {
+    return am.doctor().then(function(report){
+      var byType = _.indexBy(report.problems, 'type');
+
+      expect(report.ok).to.be.false;
+      expect(_.pluck(report.problems, 'type')).to.have.members(['incompleteInstall', 'invalidConfig', 'unversionedDir',
+        'leftoverTarball', 'orphanedMarker', 'leftoverStaging']);
+      expect(byType.invalidConfig).to.include({severity: 'error', analyser: 'broken-analyser', version: '1.0.0', fix: 'Reinstall it'});
+      expect(byType.incompleteInstall).to.include({severity: 'error', path: path.join(analysersDir, 'incomplete-analyser@1.0.0')});
+      expect(byType.unversionedDir).to.have.property('severity', 'warning');
+      expect(byType.leftoverTarball).to.have.property('path', path.join(analysersDir, 'good-analyser-1.0.0.tgz'));
+      expect(fs.existsSync(path.join(analysersDir, 'old-analyser'))).to.be.true;
+    });
+  });
+
+  it('skips other files, and checks dangling links and unmarked installs without marking them', function() {
+    var goodMarker = path.join(analysersDir, '.installed', 'good-analyser@1.0.0.json');
+    fs.writeFileSync(path.join(analysersDir, 'notes.txt'), 'not an analyser');
+    fs.symlinkSync(path.join(fixturesDir, 'gone'), path.join(analysersDir, 'linked-analyser@1.0.0'));
+    fs.removeSync(goodMarker);
+
+    return am.doctor().then(function(report){
+      expect(_.pluck(report.problems, 'path')).not.to.include(path.join(analysersDir, 'notes.txt'));
+      expect(_.find(report.problems, {path: path.join(analysersDir, 'linked-analyser@1.0.0')})).to.have.property('type', 'incompleteInstall');
+      expect(_.find(report.problems, {path: path.join(analysersDir, 'good-analyser@1.0.0')})).to.have.property('type', 'incompleteInstall');
+      expect(fs.existsSync(goodMarker)).to.be.false;
+    });
+  });
+
+  it('repairs what it can', function() {
+    return am.doctor({repair: true})
+      .then(function(report){
+        expect(report.ok).to.be.true;
+        expect(_.every(report.problems, 'repaired')).to.be.true;
+        expect(fs.readJsonSync(path.join(analysersDir, 'broken-analyser@1.0.0', 'config.json'))).to.have.property('shortName', 'broken-analyser');
+        expect(fs.existsSync(path.join(analysersDir, 'old-analyser'))).to.be.false;
+        return am.doctor();
+      })
+      .then(function(report){
+        expect(report).to.deep.equal({ok: true, problems: []});
+      });
+  });
+
+  it('reports repairs that fail', function() {
+    fs.removeSync(path.join(analysersDir, '.installed', 'good-analyser@1.0.0.json'));
+    am.ANALYSER_LIST_SOURCES = [{analysers: {}}];  //good-analyser can't be reinstalled
+
+    return am.doctor({repair: true}).then(function(report){
+      var incomplete = _.find(report.problems, {type: 'incompleteInstall', analyser: 'good-analyser'});
+
+      expect(report.ok).to.be.false;
+      expect(incomplete.repaired).to.be.false;
+      expect(incomplete.repairError.name).to.equal('UnknownAnalyserError');
+    });
+  });
+
+  it('creates a missing install dir', function() {
+    var missingDirAm = new AnalyserManger(path.join(fixturesDir, 'missing'), {sources: []});
+
+    return missingDirAm.doctor({repair: true}).then(function(report){
+      expect(report.problems[0]).to.include({type: 'installDirMissing', repaired: true});
+      expect(fs.existsSync(path.join(fixturesDir, 'missing'))).to.be.true;
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('healthy');
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,159 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analyserList = require('../../analyser-manager/analyserList');
+
+var errors = AnalyserManger.errors;
+var analysersDir = path.join(__dirname, '/idontexist/errorFixtures');
+
+describe('errors', function() {
+
+  it('all have a stable, unique code', function() {
+    var all = [
+      new errors.AnalyserManagerError(null, 'failed'),
+      new errors.AnalyserInUseError('my-analyser', '1.0.0', 'in use'),
+      new errors.AnalyserNotInstalledError('my-analyser', '1.0.0'),
+      new errors.BatchInstallError([]),
+      new errors.ConfigParseError('config.json', Error('bad JSON')),
+      new errors.InstallScriptError('my-analyser', '1.0.0', 1, null, false, ''),
+      new errors.IntegrityError('my-analyser', '1.0.0', 'sha1-a', 'sha1-b'),
+      new errors.InvalidAnalyserConfigError('my-analyser', '1.0.0', []),
+      new errors.LockMismatchError('my-analyser', '1.0.0', 'registry', 'npm', 'git'),
+      new errors.LockTimeoutError('my-analyser@1.0.0'),
+      new errors.NetworkError('failed', 'http://example.com'),
+      new errors.OfflineError('failed'),
+      new errors.PermissionError('failed', '/root'),
+      new errors.RegistryError('failed', 404),
+      new errors.UnknownAnalyserError('my-analyser'),
+      new errors.UnknownRegistryError('nope'),
+      new errors.VersionNotFoundError('my-analyser', '9.9.9')
+    ];
+    _.each(all, function(err){
+      expect(err).to.be.an.instanceof(errors.AnalyserManagerError).and.an.instanceof(Error);
+      expect(err.code).to.match(/^ERR_[A-Z_]+$/);
+    });
+    expect(_.uniq(_.pluck(all, 'code'))).to.have.length(all.length);
+    expect(all[5]).to.include({code: 'ERR_INSTALL_SCRIPT', analyser: 'my-analyser', version: '1.0.0', name: 'InstallScriptError'});
+    expect(all[13].message).to.equal('failed, status: 404');
+    expect(all[2].message).to.equal("Analyser 'my-analyser@1.0.0' is not installed");
+  });
+
+  it('wraps errors keeping the cause, and the class and fields of our own errors', function() {
+    var versionNotFound = new errors.VersionNotFoundError('my-analyser', '9.9.9');
+    var wrapped = errors.wrap('Unable to install', versionNotFound);
+    expect(wrapped).to.be.an.instanceof(errors.VersionNotFoundError);
+    expect(wrapped).to.include({code: 'ERR_VERSION_NOT_FOUND', name: 'VersionNotFoundError', cause: versionNotFound,
+      analyser: 'my-analyser', version: '9.9.9'});
+    expect(wrapped.message).to.equal("Unable to install\nInvalid version '9.9.9' for analyser 'my-analyser'");
+    expect(wrapped.stack).to.match(/^VersionNotFoundError: Unable to install\n/);
+
+    var networkError = new errors.NetworkError('Unable to fetch', 'http://example.com', 503);
+    expect(errors.wrap('Unable to install', networkError)).to.be.an.instanceof(errors.NetworkError)
+      .and.to.include({code: 'ERR_NETWORK', url: 'http://example.com', statusCode: 503});
+
+    var denied = Error('EACCES: permission denied');
+    denied.code = 'EACCES';
+    denied.path = '/root/analysers';
+    expect(errors.wrap('Unable to install', denied)).to.be.an.instanceof(errors.PermissionError)
+      .and.to.include({code: 'ERR_PERMISSION', path: '/root/analysers', cause: denied});
+
+    expect(errors.wrap('Unable to install', Error('boom'))).to.have.property('code', 'ERR_ANALYSER_MANAGER');
+  });
+
+  it('rejects with a NetworkError when a list can not be fetched', function() {
+    return analyserList.fetchAll(['http://127.0.0.1:1/analysers.json'], {}, {retries: 0})
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.be.an.instanceof(errors.NetworkError);
+        expect(err).to.include({code: 'ERR_NETWORK', url: 'http://127.0.0.1:1/analysers.json'});
+        expect(err.cause).to.have.property('code', 'ECONNREFUSED');
+      });
+  });
+
+  it('rejects init with a NetworkError when the list can not be fetched', function() {
+    var am = new AnalyserManger(path.join(analysersDir, 'unreachable'), {sources: ['http://127.0.0.1:1/analysers.json'], http: {retries: 0}});
+    return am.init()
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.be.an.instanceof(errors.NetworkError);
+        expect(err).to.include({code: 'ERR_NETWORK', url: 'http://127.0.0.1:1/analysers.json'});
+        expect(err.message).to.match(/^Unable to fetch list of analysers\n/);
+      });
+  });
+
+  describe('from the manager', function() {
+
+    var am;
+
+    var VersionedExtractor = fakeExtractor({
+      files: {'config.json': '{"shortName": '}
+    });
+
+    before(function(){
+      AnalyserManger.registerExtractor('versioned', VersionedExtractor);
+      am = new AnalyserManger(analysersDir, {sources: [{analysers: {"typed-analyser": {"registry": "versioned", "config": {}}}}]});
+      return am.init();
+    });
+
+    it('rejects with a VersionNotFoundError for a version the registry does not have', function() {
+      return am.resolveVersion('typed-analyser', '^2.0.0')
+        .then(function(){
+          throw new Error('should have failed');
+        }, function(err){
+          expect(err).to.be.an.instanceof(errors.VersionNotFoundError);
+          expect(err).to.include({code: 'ERR_VERSION_NOT_FOUND', analyser: 'typed-analyser', version: '^2.0.0'});
+        });
+    });
+
+    it('rejects with a ConfigParseError for a config that is not JSON', function() {
+      return am.installAnalyser({name: 'typed-analyser', version: '1.0.0'})
+        .then(function(){
+          throw new Error('should have failed');
+        }, function(err){
+          expect(err).to.be.an.instanceof(errors.ConfigParseError);
+          expect(err).to.include({code: 'ERR_CONFIG_PARSE', analyser: 'typed-analyser', version: '1.0.0'});
+          expect(err.cause).to.be.an.instanceof(SyntaxError);
+        });
+    });
+
+    it('rejects with an AnalyserNotInstalledError for a version that is not installed', function() {
+      return am.fetchAnalyser('typed-analyser', '3.0.0')
+        .then(function(){
+          throw new Error('should have failed');
+        }, function(err){
+          expect(err).to.be.an.instanceof(errors.AnalyserNotInstalledError);
+          expect(err).to.include({code: 'ERR_NOT_INSTALLED', analyser: 'typed-analyser', version: '3.0.0'});
+          return am.uninstallAnalyser('typed-analyser', '3.0.0');
+        })
+        .then(function(){
+          throw new Error('should have failed');
+        }, function(err){
+          expect(err).to.include({code: 'ERR_NOT_INSTALLED', analyser: 'typed-analyser', version: '3.0.0'});
+        });
+    });
+
+    it('rejects with an UnknownAnalyserError for an analyser that is not listed', function() {
+      return am.fetchCanonicalAnalyserConfig('missing-analyser')
+        .then(function(){
+          throw new Error('should have failed');
+        }, function(err){
+          expect(err).to.include({code: 'ERR_UNKNOWN_ANALYSER', analyser: 'missing-analyser'});
+        });
+    });
+
+    after(function(){
+      AnalyserManger.unregisterExtractor('versioned');
+      fs.removeSync(analysersDir);
+    });
+
+  });
+
+});
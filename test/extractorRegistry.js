@@ -0,0 +1,101 @@
+var chai = require('chai');
+var expect = chai.expect;
+var chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analysersDir = path.join(__dirname, '/idontexist/registryFixtures');
+
+describe('extractor registry', function() {
+
+  var am;
+
+  var analyserList = {
+    "fake-analyser": {
+      "registry": "fake",
+      "config": {"shortName": "fake"}
+    },
+    "orphan-analyser": {
+      "registry": "not-registered",
+      "config": {"shortName": "orphan"}
+    },
+    "temporary-analyser": {
+      "registry": "temporary",
+      "config": {"shortName": "temporary"}
+    }
+  };
+
+  var FakeExtractor = fakeExtractor({
+    versions: ['1.0.0', '2.0.0'],
+    fetch: function(analyser, version, installDir){
+      var eventData = {analyser: analyser.name, version: version};
+      this.emit('downloading', eventData);
+      fakeExtractor.writeAnalyser(installDir, analyser, version, {'config.json': {shortName: 'fake'}});
+      this.emit('installed', eventData);
+      return Promise.resolve();
+    }
+  });
+
+  before(function(){
+    AnalyserManger.registerExtractor('fake', FakeExtractor);
+    am = new AnalyserManger(analysersDir);
+    sinon.stub(am, 'fetchAnalyserList').returns(Promise.resolve(analyserList));
+  });
+
+  it('installs an analyser through a registered extractor', function() {
+    var installed = sinon.spy();
+    am.on('installed', installed);
+
+    return am.installAnalyser({name: 'fake-analyser'}).then(function(analyserConfig){
+      expect(analyserConfig).to.have.property('path', path.join(analysersDir, 'fake-analyser@2.0.0'));
+      expect(analyserConfig).to.have.deep.property('config.shortName', 'fake');
+      expect(installed.called).to.be.true;
+    });
+  });
+
+  it('gets the latest version through a registered extractor', function() {
+    return am.isNewerVersionAvailable('fake-analyser', '1.0.0').then(function(isNewer){
+      expect(isNewer).to.deep.equal({newer: true, latest: '2.0.0'});
+    });
+  });
+
+  it('rejects with UnknownRegistryError for an unregistered registry', function() {
+    return am.isNewerVersionAvailable('orphan-analyser', '1.0.0').then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.name).to.equal('UnknownRegistryError');
+      expect(err).to.have.property('registry', 'not-registered');
+      expect(err).to.have.property('analyser', 'orphan-analyser');
+    });
+  });
+
+  it('rejects with UnknownRegistryError once an extractor is unregistered', function() {
+    AnalyserManger.registerExtractor('temporary', FakeExtractor);
+    AnalyserManger.unregisterExtractor('temporary');
+
+    return am.isNewerVersionAvailable('temporary-analyser', '1.0.0').then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err).to.have.property('registry', 'temporary');
+    });
+  });
+
+  it('refuses factories that are not functions', function() {
+    expect(function(){
+      AnalyserManger.registerExtractor('broken', {});
+    }).to.throw(TypeError);
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('fake');
+    fs.removeSync(analysersDir);
+  });
+
+});
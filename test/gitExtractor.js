@@ -0,0 +1,124 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var execSync = require('child_process').execSync;
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var GitExtractor = require('../extractors/gitExtractor');
+
+var fixturesDir = path.join(__dirname, '/idontexist/gitFixtures');
+var analysersDir = path.join(fixturesDir, 'analysers');
+var workDir = path.join(fixturesDir, 'work');
+var bareRepo = path.join(fixturesDir, 'my-analyser.git');
+var repoURL = 'file://' + bareRepo;
+
+describe('git extractor', function() {
+
+  this.timeout(10000);
+
+  var am, masterSha;
+
+  function git(cmd, cwd){
+    return execSync(`git -c user.name=test -c user.email=test@example.com ${cmd}`, {cwd: cwd || workDir}).toString().trim();
+  }
+
+  function commitVersion(version){
+    fs.writeFileSync(path.join(workDir, 'config.json'), JSON.stringify({shortName: 'my-analyser', version: version}));
+    git('add -A');
+    git(`commit --quiet -m "${version}"`);
+  }
+
+  before(function(){
+    fs.removeSync(fixturesDir);
+    fs.mkdirsSync(path.join(workDir, 'bin'));
+    fs.writeFileSync(path.join(workDir, 'bin/install'), '#!/bin/sh\ntouch installed\n', {mode: 493});
+
+    git('init --quiet');
+    commitVersion('1.0.0');
+    git('tag v1.0.0');
+    commitVersion('1.2.0');
+    git('tag 1.2.0');
+    commitVersion('1.3.0-dev');
+    git('branch -M master');
+    masterSha = git('rev-parse HEAD');
+    git(`clone --quiet --bare "${workDir}" "${bareRepo}"`, fixturesDir);
+
+    am = new AnalyserManger(analysersDir);
+    sinon.stub(am, 'fetchAnalyserList').returns(Promise.resolve({
+      "my-analyser": {"registry": "git", "url": repoURL, "config": {"shortName": "my-analyser"}},
+      "my-branch-analyser": {"registry": "git", "url": repoURL, "ref": "master", "config": {"shortName": "my-analyser"}}
+    }));
+  });
+
+  it('lists the semver tags as versions', function() {
+    return new GitExtractor({url: repoURL}).listVersions('my-analyser').then(function(versions){
+      expect(versions.sort()).to.deep.equal(['1.0.0', '1.2.0']);
+    });
+  });
+
+  it('installs the highest tagged version as latest', function() {
+    var events = [];
+    ['downloading', 'downloaded', 'installing', 'installed'].forEach(function(eventName){
+      am.once(eventName, function(){
+        events.push(eventName);
+      });
+    });
+
+    return am.installAnalyser({name: 'my-analyser'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, 'my-analyser@1.2.0'));
+      expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.have.property('version', '1.2.0');
+      expect(fs.existsSync(path.join(analyser.path, 'installed'))).to.be.true;
+      expect(fs.existsSync(path.join(analyser.path, '.git'))).to.be.false;
+      expect(events).to.deep.equal(['downloading', 'downloaded', 'installing', 'installed']);
+    });
+  });
+
+  it('installs a specific tagged version', function() {
+    return am.installAnalyser({name: 'my-analyser', version: '1.0.0'}).then(function(analyser){
+      expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.have.property('version', '1.0.0');
+    });
+  });
+
+  it('installs the branch named in the entry', function() {
+    return am.installAnalyser({name: 'my-branch-analyser'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, `my-branch-analyser@0.0.0-${masterSha.substr(0, 7)}`));
+      expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.have.property('version', '1.3.0-dev');
+    });
+  });
+
+  it('fails for a version that is not tagged', function() {
+    return new GitExtractor({url: repoURL}).fetch({name: 'my-analyser'}, '9.9.9', analysersDir).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/does not have tag '9.9.9'/);
+    });
+  });
+
+  it('does not install the branch named in the entry for a version that is not tagged', function() {
+    return am.installAnalyser({name: 'my-branch-analyser', version: '2.0.0'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err).to.be.an.instanceof(AnalyserManger.errors.VersionNotFoundError);
+      expect(fs.existsSync(path.join(analysersDir, 'my-branch-analyser@2.0.0'))).to.be.false;
+    });
+  });
+
+  it('does not pass a ref from the entry to git as an option', function() {
+    return new GitExtractor({url: repoURL, ref: '--orphan=injected'}).fetch({name: 'my-analyser'}, 'latest', analysersDir).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err).to.have.property('code', 'ERR_REGISTRY');
+      expect(err.message).to.match(/Invalid ref '--orphan=injected'/);
+    });
+  });
+
+  after(function(){
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,84 @@
+/**
+ * Fake extractors for tests: they "install" an analyser by writing its files into the install dir, so nothing is
+ * downloaded and no bin/install runs.
+ */
+
+var fs = require('fs-extra');
+var path = require('path');
+var EventEmitter = require('events');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var analyserDirs = require('../../analyserDirs');
+
+module.exports = exports = fakeExtractor;
+
+/**
+ * @param options (optional)
+ *    versions: the versions listVersions resolves to (default ['1.0.0']), or function(analyserName) returning them
+ *    latest: the version getLatestVersion resolves to (default the last of versions), or function(analyserName)
+ *    distTags: what getDistTags resolves to - extractors without it don't support dist-tags
+ *    files: {path: contents} to write into the analyser dir (default a config.json with the analyser's name as its
+ *           shortName), or function(analyser, version) returning them - see writeAnalyser
+ *    result: function(analyser, version, analyserEntry) returning what fetch resolves to once the files are written,
+ *            or a Promise - reject to fail the install
+ *    fetch: function(analyser, version, installDir, analyserEntry) to fetch with instead, called with the extractor
+ *           as this
+ * @returns Function an extractor factory to pass to AnalyserManager.registerExtractor
+ */
+function fakeExtractor(options){
+  options = options || {};
+
+  return function FakeExtractor(analyserEntry){
+    var self = new EventEmitter();
+    self.fetch = function(analyser, version, installDir){
+      if(options.fetch){
+        return options.fetch.call(self, analyser, version, installDir, analyserEntry);
+      }
+      exports.writeAnalyser(installDir, analyser, version, valueFor(options.files, analyser, version));
+      return Promise.resolve(options.result ? options.result(analyser, version, analyserEntry) : undefined);
+    };
+    self.getLatestVersion = function(analyserName){
+      return Promise.resolve(options.latest ? valueFor(options.latest, analyserName) : _.last(versionsOf(analyserName)));
+    };
+    self.listVersions = function(analyserName){
+      return Promise.resolve(versionsOf(analyserName));
+    };
+    if(options.distTags){
+      self.getDistTags = function(){
+        return Promise.resolve(options.distTags);
+      };
+    }
+    return self;
+  };
+
+  function versionsOf(analyserName){
+    return valueFor(options.versions, analyserName) || ['1.0.0'];
+  }
+}
+
+/**
+ * Write an analyser's files into its dir in the install dir.
+ * @param installDir
+ * @param analyser {name}
+ * @param version
+ * @param files (optional) {path relative to the analyser dir: contents} - Strings are written as they are, anything
+ *        else as JSON. Defaults to a config.json with the analyser's name as its shortName.
+ * @returns String abs path of the analyser dir
+ */
+exports.writeAnalyser = function(installDir, analyser, version, files){
+  var dir = path.join(installDir, analyserDirs.dirName(analyser.name, version));
+  fs.mkdirsSync(dir);
+  _.each(files || {'config.json': {shortName: analyser.name}}, function(contents, file){
+    if(_.isString(contents)){
+      fs.outputFileSync(path.join(dir, file), contents);
+    } else {
+      fs.outputJsonSync(path.join(dir, file), contents);
+    }
+  });
+  return dir;
+};
+
+function valueFor(option){
+  return _.isFunction(option) ? option.apply(null, _.rest(arguments)) : option;
+}
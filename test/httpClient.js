@@ -0,0 +1,198 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var http = require('http');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var httpClient = require('../../analyser-manager/httpClient');
+
+var fixturesDir = path.join(__dirname, '/idontexist/httpClientFixtures');
+
+describe('http client', function() {
+
+  var server, baseURL, responses, requests;
+
+  var fast = {minDelay: 1, maxDelay: 4, connectTimeout: 500, readTimeout: 100};
+
+  before(function(done){
+    server = http.createServer(function(req, res){
+      requests.push(req);
+      var respond = responses.shift() || function(res){
+        res.writeHead(200, {'ETag': '"v1"'});
+        res.end(JSON.stringify({"my-analyser": {"registry": "npm", "config": {}}}));
+      };
+      respond(res, req);
+    });
+    server.listen(0, '127.0.0.1', function(){
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  beforeEach(function(){
+    requests = [];
+    responses = [];
+    fs.removeSync(fixturesDir);
+  });
+
+  function status(code){
+    return function(res){
+      res.writeHead(code);
+      res.end();
+    };
+  }
+
+  function stall(res){
+    res.writeHead(200);
+    res.write('{');  //and never finish
+  }
+
+  it('retries transient failures with exponential backoff', function() {
+    var onRetry = sinon.spy();
+    responses = [status(503), status(502), status(500)];
+
+    return httpClient.get(`${baseURL}/list`, Object.assign({onRetry: onRetry}, fast)).then(function(response){
+      expect(response.statusCode).to.equal(200);
+      expect(JSON.parse(response.body)).to.have.property('my-analyser');
+      expect(requests).to.have.length(4);
+      expect(onRetry.args.map(function(args){
+        return [args[0].attempt, args[0].delay];
+      })).to.deep.equal([[1, 1], [2, 2], [3, 4]]);
+      expect(onRetry.firstCall.args[0].error.message).to.equal('status: 503');
+    });
+  });
+
+  it('gives up after the retries and returns the last response', function() {
+    responses = [status(503), status(503)];
+
+    return httpClient.get(`${baseURL}/list`, Object.assign({retries: 1}, fast)).then(function(response){
+      expect(response.statusCode).to.equal(503);
+      expect(requests).to.have.length(2);
+    });
+  });
+
+  it('does not retry failures that are not transient', function() {
+    responses = [status(404)];
+
+    return httpClient.get(`${baseURL}/list`, fast).then(function(response){
+      expect(response.statusCode).to.equal(404);
+      expect(requests).to.have.length(1);
+    });
+  });
+
+  it('times out a response that stalls, and retries it', function() {
+    responses = [stall, stall];
+
+    return httpClient.get(`${baseURL}/list`, Object.assign({retries: 1}, fast)).then(function(){
+      throw new Error('should have timed out');
+    }, function(err){
+      expect(err.code).to.equal('ESOCKETTIMEDOUT');
+      expect(requests).to.have.length(2);
+    });
+  });
+
+  it('only saves a successful download', function() {
+    var file = path.join(fixturesDir, 'download.tgz');
+    fs.mkdirsSync(fixturesDir);
+    responses = [status(500), function(res){
+      res.writeHead(200);
+      res.end('tarball');
+    }];
+
+    return httpClient.download(`${baseURL}/x.tgz`, file, fast).then(function(response){
+      expect(response.statusCode).to.equal(200);
+      expect(fs.readFileSync(file, 'utf8')).to.equal('tarball');
+    });
+  });
+
+  it('reports download progress', function() {
+    var file = path.join(fixturesDir, 'download.tgz');
+    var onProgress = sinon.spy();
+    fs.mkdirsSync(fixturesDir);
+    responses = [function(res){
+      res.writeHead(200, {'Content-Length': 10});
+      res.write('01234');
+      setTimeout(function(){
+        res.end('56789');
+      }, 20);
+    }];
+
+    return httpClient.download(`${baseURL}/x.tgz`, file, Object.assign({onProgress: onProgress}, fast)).then(function(){
+      expect(onProgress.args.map(function(args){
+        return args[0];
+      })).to.deep.equal([{received: 5, total: 10}, {received: 10, total: 10}]);
+    });
+  });
+
+  it('sends requests through the proxy', function() {
+    return httpClient.get('http://analysers.example.com/list', Object.assign({proxy: baseURL}, fast)).then(function(response){
+      expect(response.statusCode).to.equal(200);
+      expect(requests[0].url).to.equal('http://analysers.example.com/list');
+      expect(requests[0].headers.host).to.equal('analysers.example.com');
+    });
+  });
+
+  describe('with proxy environment variables', function() {
+
+    var saved;
+
+    beforeEach(function(){
+      saved = _.pick(process.env, ['HTTP_PROXY', 'http_proxy', 'HTTPS_PROXY', 'https_proxy', 'NO_PROXY', 'no_proxy']);
+      _.each(_.keys(saved), function(name){
+        delete process.env[name];
+      });
+    });
+
+    it('sends requests through HTTP_PROXY', function() {
+      process.env.HTTP_PROXY = baseURL;
+
+      return httpClient.get('http://analysers.example.com/list', fast).then(function(response){
+        expect(response.statusCode).to.equal(200);
+        expect(requests[0].url).to.equal('http://analysers.example.com/list');
+      });
+    });
+
+    it('does not send requests for hosts in NO_PROXY through a proxy, even one passed as an option', function() {
+      process.env.HTTP_PROXY = 'http://127.0.0.1:1';
+      process.env.NO_PROXY = 'example.com, 127.0.0.1';
+
+      return httpClient.get(`${baseURL}/list`, Object.assign({proxy: 'http://127.0.0.1:1'}, fast)).then(function(response){
+        expect(response.statusCode).to.equal(200);
+        expect(requests[0].url).to.equal('/list');  //not the absolute URL a proxy is sent
+        expect(httpClient.proxyFor('https://npm.example.com/x', baseURL)).to.be.null;
+        expect(httpClient.proxyFor('https://notexample.com/x', baseURL)).to.equal(baseURL);
+      });
+    });
+
+    afterEach(function(){
+      delete process.env.HTTP_PROXY;
+      delete process.env.NO_PROXY;
+      _.assign(process.env, saved);
+    });
+
+  });
+
+  it('emits retrying from the manager while fetching the analyser list', function() {
+    var am = new AnalyserManger(path.join(fixturesDir, 'analysers'), {sources: [`${baseURL}/list`], http: fast});
+    var retrying = sinon.spy();
+    am.on('retrying', retrying);
+    responses = [status(429)];
+
+    return am.init().then(function(){
+      expect(retrying.calledOnce).to.equal(true);
+      expect(retrying.firstCall.args[0]).to.have.property('url', `${baseURL}/list`);
+      expect(am.ALL_ANALYSERS).to.have.property('my-analyser');
+    });
+  });
+
+  after(function(done){
+    fs.removeSync(fixturesDir);
+    server.close(done);
+  });
+
+});
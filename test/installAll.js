@@ -0,0 +1,122 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+
+var fixturesDir = path.join(__dirname, '/idontexist/installAllFixtures');
+var analysersDir = path.join(fixturesDir, 'analysers');
+
+describe('bulk install', function() {
+
+  var am, running, maxRunning;
+
+  var BatchExtractor = fakeExtractor({
+    versions: ['1.0.0', '2.0.0'],
+    fetch: function(analyser, version, installDir){
+      running++;
+      maxRunning = Math.max(running, maxRunning);
+      return Promise.delay(20).then(function(){
+        running--;
+        if(/broken/.test(analyser.name)){
+          return Promise.reject(new Error('bin/install failed'));
+        }
+        fakeExtractor.writeAnalyser(installDir, analyser, version);
+      });
+    }
+  });
+
+  function analyserEntry(){
+    return {"registry": "batch", "config": {}};
+  }
+
+  before(function(){
+    AnalyserManger.registerExtractor('batch', BatchExtractor);
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+      "batch-one": analyserEntry(),
+      "batch-two": analyserEntry(),
+      "batch-three": analyserEntry(),
+      "batch-broken": analyserEntry()
+    }}]});
+    return am.init().then(function(){
+      return am.installAnalyser({name: 'batch-three', version: '1.0.0'});
+    });
+  });
+
+  beforeEach(function(){
+    running = 0;
+    maxRunning = 0;
+  });
+
+  it('installs every analyser and reports what happened to each', function() {
+    var sidekickrc = {
+      "languages": {
+        "js": {
+          "batch-one": {"failCiOnError": false},
+          "batch-three": {"version": "1.0.0"},
+          "batch-broken": {"failCiOnError": false},
+          "batch-unknown": {"failCiOnError": false}
+        },
+        "json": {
+          "batch-one": {"failCiOnError": true},
+          "batch-two": {"version": "1.0.0"}
+        }
+      }
+    };
+
+    return am.installAll(sidekickrc, {concurrency: 2}).then(function(results){
+      var byName = _.indexBy(results, 'name');
+
+      expect(results).to.have.length(5);
+      expect(byName['batch-one']).to.have.property('status', 'installed');
+      expect(byName['batch-one']).to.have.property('version', '2.0.0');
+      expect(byName['batch-one']).to.have.property('failCiOnError', true);
+      expect(byName['batch-one'].languages).to.deep.equal(['js', 'json']);
+      expect(byName['batch-two']).to.have.property('version', '1.0.0');
+      expect(byName['batch-three']).to.have.property('status', 'present');
+      expect(byName['batch-broken']).to.have.property('status', 'failed');
+      expect(byName['batch-broken'].error.message).to.equal('bin/install failed');
+      expect(byName['batch-unknown']).to.have.property('status', 'failed');
+      expect(byName['batch-unknown'].error.name).to.equal('UnknownAnalyserError');
+      expect(maxRunning).to.equal(2);
+    });
+  });
+
+  it('reads a .sidekickrc from a directory', function() {
+    fs.outputFileSync(path.join(fixturesDir, '.sidekickrc'), `{
+      // comments are allowed
+      "languages": {"js": {"batch-two": {"version": "1.0.0"}}}
+    }`);
+
+    return am.installAll(fixturesDir).then(function(results){
+      expect(results).to.have.length(1);
+      expect(results[0]).to.have.property('status', 'present');
+    });
+  });
+
+  it('fails the batch when an analyser that fails CI cannot be installed', function() {
+    var sidekickrc = {"languages": {"js": {
+      "batch-one": {},
+      "batch-broken": {"failCiOnError": true}
+    }}};
+
+    return am.installAll(sidekickrc).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.name).to.equal('BatchInstallError');
+      expect(err.message).to.match(/batch-broken/);
+      expect(_.pluck(err.results, 'status').sort()).to.deep.equal(['failed', 'present']);
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('batch');
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,180 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var installLock = require('../installLock');
+
+var analysersDir = path.join(__dirname, '/idontexist/lockFixtures');
+
+describe('install locks', function() {
+
+  var am, fetch;
+
+  var SlowExtractor = fakeExtractor({
+    fetch: function(){
+      return fetch.apply(this, arguments);
+    }
+  });
+
+  function holdLockAs(pid, lockName){
+    fs.outputJsonSync(installLock.lockPath(analysersDir, lockName), {pid: pid, hostname: os.hostname()});
+  }
+
+  before(function(){
+    AnalyserManger.registerExtractor('slow', SlowExtractor);
+    am = new AnalyserManger(analysersDir, {
+      sources: [{analysers: {"slow-analyser": {"registry": "slow", "config": {"shortName": "slow"}}}}],
+      lock: {retryInterval: 20}
+    });
+    return am.init();
+  });
+
+  beforeEach(function(){
+    fetch = sinon.spy(function(analyser, version, installDir){
+      fakeExtractor.writeAnalyser(installDir, analyser, version, {'config.json': {shortName: 'slow'}});
+      return Promise.delay(50);
+    });
+  });
+
+  afterEach(function(){
+    fs.removeSync(path.join(analysersDir, 'slow-analyser@1.0.0'));
+    fs.removeSync(path.join(analysersDir, '.installed'));
+    fs.removeSync(path.join(analysersDir, '.locks'));
+  });
+
+  it('shares one install between concurrent calls in a process', function() {
+    return Promise.all([
+      am.installAnalyser({name: 'slow-analyser', version: '1.0.0'}),
+      am.installAnalyser({name: 'slow-analyser', version: '1.0.0'})
+    ]).then(function(results){
+      expect(fetch.calledOnce).to.be.true;
+      expect(results[0]).to.equal(results[1]);
+      expect(installLock.isLocked(analysersDir, 'slow-analyser@1.0.0')).to.be.false;
+    });
+  });
+
+  it('waits for another process to finish installing', function() {
+    var waiting = sinon.spy();
+    am.once('waitingForLock', waiting);
+    holdLockAs(process.ppid, 'slow-analyser@1.0.0');
+    expect(installLock.isLocked(analysersDir, 'slow-analyser@1.0.0')).to.be.true;
+
+    setTimeout(function(){
+      fs.removeSync(installLock.lockPath(analysersDir, 'slow-analyser@1.0.0'));
+    }, 100);
+
+    return am.installAnalyser({name: 'slow-analyser', version: '1.0.0'}).then(function(){
+      expect(waiting.calledOnce).to.be.true;
+      expect(waiting.firstCall.args[0]).to.have.deep.property('holder.pid', process.ppid);
+      expect(fetch.calledOnce).to.be.true;
+    });
+  });
+
+  it('does not reinstall what the other process installed', function() {
+    return am.installAnalyser({name: 'slow-analyser', version: '1.0.0'}).then(function(){
+      holdLockAs(process.ppid, 'slow-analyser@1.0.0');
+      setTimeout(function(){
+        fs.removeSync(installLock.lockPath(analysersDir, 'slow-analyser@1.0.0'));
+      }, 50);
+      return am.installAnalyser({name: 'slow-analyser', version: '1.0.0'});
+    }).then(function(){
+      expect(fetch.calledOnce).to.be.true;
+    });
+  });
+
+  it('takes over a lock whose process has died', function() {
+    holdLockAs(999999999, 'slow-analyser@1.0.0');
+
+    return am.installAnalyser({name: 'slow-analyser', version: '1.0.0'}).then(function(){
+      expect(fetch.calledOnce).to.be.true;
+    });
+  });
+
+  it('takes over a lock that has not been refreshed', function() {
+    holdLockAs(process.ppid, 'slow-analyser@1.0.0');
+    var longAgo = new Date(Date.now() - installLock.DEFAULTS.stale - 1000);
+    fs.utimesSync(installLock.lockPath(analysersDir, 'slow-analyser@1.0.0'), longAgo, longAgo);
+
+    return am.installAnalyser({name: 'slow-analyser', version: '1.0.0'}).then(function(){
+      expect(fetch.calledOnce).to.be.true;
+    });
+  });
+
+  it('lets only one of two waiters take over a stale lock', function() {
+    var lockName = 'slow-analyser@1.0.0';
+    var holders = 0, mostHolders = 0;
+
+    function contend(){
+      return installLock.withLock(analysersDir, lockName, {retryInterval: 5, timeout: 2000}, function(){
+        mostHolders = Math.max(mostHolders, ++holders);
+        return Promise.delay(30).then(function(){
+          holders--;
+        });
+      });
+    }
+
+    return Promise.each([1, 2, 3, 4, 5], function(){
+      holdLockAs(999999999, lockName);
+      return Promise.all([contend(), contend()]);
+    }).then(function(){
+      expect(mostHolders).to.equal(1);
+      expect(installLock.isLocked(analysersDir, lockName)).to.be.false;
+    });
+  });
+
+  it('does not remove a lock another waiter took while it was judged stale', function() {
+    var lockFile = installLock.lockPath(analysersDir, 'slow-analyser@1.0.0');
+    var otherWaiter = {pid: process.ppid, hostname: os.hostname()};
+    var acquired = false;
+    holdLockAs(999999999, 'slow-analyser@1.0.0');
+
+    var rename = sinon.stub(fs, 'renameSync', function(from, to){
+      rename.restore();
+      fs.outputJsonSync(from, otherWaiter);  //the other waiter took over first
+      return fs.renameSync(from, to);
+    });
+
+    var acquiring = installLock.acquire(analysersDir, 'slow-analyser@1.0.0', {retryInterval: 10, timeout: 2000})
+      .then(function(release){
+        acquired = true;
+        return release();
+      });
+
+    return Promise.delay(100)
+      .then(function(){
+        expect(acquired).to.be.false;
+        expect(fs.readJsonSync(lockFile)).to.deep.equal(otherWaiter);
+        fs.removeSync(lockFile);
+        return acquiring;
+      })
+      .then(function(){
+        expect(acquired).to.be.true;
+        expect(fs.readdirSync(path.dirname(lockFile))).to.be.empty;
+      });
+  });
+
+  it('gives up waiting after the timeout', function() {
+    holdLockAs(process.ppid, 'slow-analyser@1.0.0');
+
+    return installLock.acquire(analysersDir, 'slow-analyser@1.0.0', {timeout: 50, retryInterval: 10}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.name).to.equal('LockTimeoutError');
+      expect(err).to.have.deep.property('holder.pid', process.ppid);
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('slow');
+    fs.removeSync(analysersDir);
+  });
+
+});
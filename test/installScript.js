@@ -0,0 +1,120 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var EventEmitter = require('events');
+
+var runInstallScript = require('../../analyser-manager/extractors/installScript');
+
+var analyserDir = path.join(__dirname, '/idontexist/installScriptFixtures/my-analyser@1.0.0');
+
+describe('bin/install scripts', function() {
+
+  function writeInstallScript(script){
+    fs.removeSync(analyserDir);
+    fs.outputFileSync(path.join(analyserDir, 'bin/install'), `#!/bin/sh\n${script}\n`);
+    fs.chmodSync(path.join(analyserDir, 'bin/install'), 493);
+  }
+
+  it('runs in the analyser dir, streaming and logging its output', function() {
+    var output = [];
+    writeInstallScript('pwd\necho oops >&2');
+
+    return runInstallScript(analyserDir, {onOutput: function(chunk){
+      output.push(chunk);
+    }}).then(function(){
+      var log = fs.readFileSync(path.join(analyserDir, runInstallScript.LOG_FILE_NAME), 'utf8');
+      expect(log).to.contain(fs.realpathSync(analyserDir));
+      expect(log).to.contain('oops');
+      expect(output).to.deep.include.members([{stream: 'stderr', data: 'oops\n'}]);
+    });
+  });
+
+  it('only passes on the allowed environment variables', function() {
+    process.env.ANALYSER_TEST_SECRET = 'secret';
+    process.env.ANALYSER_TEST_ALLOWED = 'allowed';
+    writeInstallScript('echo "secret=$ANALYSER_TEST_SECRET allowed=$ANALYSER_TEST_ALLOWED path=${PATH:+set}"');
+
+    return runInstallScript(analyserDir, {allowEnv: ['ANALYSER_TEST_ALLOWED']}).then(function(){
+      expect(fs.readFileSync(path.join(analyserDir, 'install.log'), 'utf8')).to.equal('secret= allowed=allowed path=set\n');
+    }).finally(function(){
+      delete process.env.ANALYSER_TEST_SECRET;
+      delete process.env.ANALYSER_TEST_ALLOWED;
+    });
+  });
+
+  it('rejects with the exit code and the end of the log', function() {
+    writeInstallScript('for i in $(seq 1 30); do echo "line $i"; done\nexit 3');
+
+    return runInstallScript(analyserDir, {analyser: 'my-analyser', version: '1.0.0'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.name).to.equal('InstallScriptError');
+      expect(err.exitCode).to.equal(3);
+      expect(err.timedOut).to.equal(false);
+      expect(err.logTail.split('\n')).to.have.length(20);
+      expect(err.logTail).to.match(/^line 11\n[^]*line 30$/);
+      expect(err.message).to.match(/^bin\/install for analyser 'my-analyser@1.0.0' exited with code 3:\nline 11/);
+    });
+  });
+
+  it('kills a script that takes too long', function() {
+    writeInstallScript('echo started\nsleep 30');
+
+    return runInstallScript(analyserDir, {timeout: 200}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.timedOut).to.equal(true);
+      expect(err.signal).to.equal('SIGTERM');
+      expect(err.logTail).to.match(/^started\n\nbin\/install timed out after 200ms$/);
+    });
+  });
+
+  it('rejects if install.log cannot be written', function() {
+    writeInstallScript('echo started\nsleep 30');
+    fs.mkdirsSync(path.join(analyserDir, runInstallScript.LOG_FILE_NAME));
+
+    return runInstallScript(analyserDir, {analyser: 'my-analyser', version: '1.0.0'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.name).to.equal('InstallScriptError');
+      expect(err.code).to.equal('ERR_INSTALL_SCRIPT');
+      expect(err.message).to.match(/^bin\/install for analyser 'my-analyser@1.0.0' failed: unable to write install.log: EISDIR/);
+    });
+  });
+
+  it('does not write install.log if asked not to', function() {
+    writeInstallScript('echo done');
+
+    return runInstallScript(analyserDir, {log: false}).then(function(){
+      expect(fs.existsSync(path.join(analyserDir, runInstallScript.LOG_FILE_NAME))).to.equal(false);
+    });
+  });
+
+  it('emits install events from an extractor', function() {
+    var extractor = new EventEmitter();
+    var events = [];
+    ['installing', 'installOutput', 'installed'].forEach(function(name){
+      extractor.on(name, function(data){
+        events.push([name, data]);
+      });
+    });
+    writeInstallScript('echo done');
+
+    var eventData = {analyser: 'my-analyser', version: '1.0.0'};
+    return runInstallScript.forExtractor(extractor, analyserDir, eventData, {log: false}).then(function(){
+      expect(events).to.deep.equal([
+        ['installing', eventData],
+        ['installOutput', {analyser: 'my-analyser', version: '1.0.0', stream: 'stdout', data: 'done\n'}],
+        ['installed', eventData]
+      ]);
+      expect(fs.existsSync(path.join(analyserDir, runInstallScript.LOG_FILE_NAME))).to.equal(false);
+    });
+  });
+
+  after(function(){
+    fs.removeSync(path.dirname(analyserDir));
+  });
+
+});
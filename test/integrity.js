@@ -0,0 +1,158 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var http = require('http');
+var crypto = require('crypto');
+var execSync = require('child_process').execSync;
+
+var integrity = require('../extractors/integrity');
+var NpmExtractor = require('../extractors/npmExtractor');
+var IntegrityError = require('../errors/IntegrityError');
+
+var fixturesDir = path.join(__dirname, '/idontexist/integrityFixtures');
+var file = path.join(fixturesDir, 'analyser.tgz');
+
+describe('tarball integrity', function() {
+
+  var contents = 'not really a tarball';
+
+  function hash(algorithm, encoding){
+    return crypto.createHash(algorithm).update(contents).digest(encoding || 'base64');
+  }
+
+  before(function(){
+    fs.mkdirsSync(fixturesDir);
+    fs.writeFileSync(file, contents);
+  });
+
+  it('passes for a matching sha512 integrity', function() {
+    return integrity.check(file, [`sha512-${hash('sha512')}`]).then(function(mismatch){
+      expect(mismatch).to.be.null;
+    });
+  });
+
+  it('passes for a matching hex shasum', function() {
+    return integrity.check(file, [hash('sha1', 'hex')]).then(function(mismatch){
+      expect(mismatch).to.be.null;
+    });
+  });
+
+  it('converts digests between hex and base64', function() {
+    expect(integrity.parse(hash('sha1', 'hex'))).to.deep.equal([{algorithm: 'sha1', digest: hash('sha1')}]);
+    expect(integrity.toHex({algorithm: 'sha512', digest: hash('sha512')})).to.equal(hash('sha512', 'hex'));
+  });
+
+  it('uses the strongest algorithm in an integrity string', function() {
+    var wrongSha512 = `sha512-${crypto.createHash('sha512').update('tampered').digest('base64')}`;
+    return integrity.check(file, [`sha1-${hash('sha1')} ${wrongSha512}`]).then(function(mismatch){
+      expect(mismatch).to.have.property('expected', `sha1-${hash('sha1')} ${wrongSha512}`);
+      expect(mismatch).to.have.property('actual', `sha512-${hash('sha512')}`);
+    });
+  });
+
+  it('requires every integrity string to match', function() {
+    var pinned = `sha256-${crypto.createHash('sha256').update('tampered').digest('base64')}`;
+    return integrity.check(file, [hash('sha1', 'hex'), pinned]).then(function(mismatch){
+      expect(mismatch).to.have.property('expected', pinned);
+    });
+  });
+
+  it('ignores missing hashes', function() {
+    return integrity.check(file, [undefined, null, `sha512-${hash('sha512')}`]).then(function(mismatch){
+      expect(mismatch).to.be.null;
+    });
+  });
+
+  it('fails for an integrity string with no supported hash', function() {
+    return integrity.check(file, [`md5-${hash('md5')}`]).then(function(mismatch){
+      expect(mismatch).to.have.property('expected', `md5-${hash('md5')}`);
+      expect(mismatch).to.have.property('actual', `sha512-${hash('sha512')}`);
+      return integrity.check(file, ['sha-512-typo']);
+    }).then(function(mismatch){
+      expect(mismatch).to.have.property('expected', 'sha-512-typo');
+    });
+  });
+
+  describe('installing from npm', function() {
+
+    var server, registryURL;
+    var installDir = path.join(fixturesDir, 'analysers');
+    var tarballPath = path.join(fixturesDir, 'sidekick-checked-1.0.0.tgz');
+
+    before(function(done){
+      fs.mkdirsSync(path.join(fixturesDir, 'package/bin'));
+      fs.writeJsonSync(path.join(fixturesDir, 'package/package.json'), {name: 'sidekick-checked', version: '1.0.0'});
+      fs.writeJsonSync(path.join(fixturesDir, 'package/config.json'), {shortName: 'checked'});
+      fs.writeFileSync(path.join(fixturesDir, 'package/bin/install'), '#!/bin/sh\n', {mode: 493});
+      execSync(`tar czf "${tarballPath}" package`, {cwd: fixturesDir});
+      var tarball = fs.readFileSync(tarballPath);
+
+      server = http.createServer(function(req, res){
+        if(req.url === '/sidekick-checked'){
+          res.writeHead(200);
+          res.end(JSON.stringify({
+            'dist-tags': {latest: '1.0.0'},
+            versions: {'1.0.0': {dist: {
+              tarball: `${registryURL}sidekick-checked/-/sidekick-checked-1.0.0.tgz`,
+              shasum: crypto.createHash('sha1').update(tarball).digest('hex')
+            }}}
+          }));
+        } else {
+          res.writeHead(200);
+          res.end(tarball);
+        }
+      });
+      server.listen(0, '127.0.0.1', function(){
+        registryURL = `http://127.0.0.1:${server.address().port}/`;
+        done();
+      });
+    });
+
+    beforeEach(function(){
+      fs.removeSync(installDir);
+      fs.mkdirsSync(installDir);
+    });
+
+    function fetchPinned(pinned){
+      var extractor = new NpmExtractor({npmRegistry: registryURL, integrity: {'1.0.0': pinned}}, {npm: {npmrc: []}, tarballCache: false});
+      return extractor.fetch({name: 'sidekick-checked'}, '1.0.0', installDir);
+    }
+
+    it('installs a tarball that matches the pinned hash', function() {
+      return fetchPinned(`sha512-${crypto.createHash('sha512').update(fs.readFileSync(tarballPath)).digest('base64')}`).then(function(){
+        expect(fs.readJsonSync(path.join(installDir, 'sidekick-checked@1.0.0/config.json'))).to.have.property('shortName', 'checked');
+      });
+    });
+
+    it('rejects a tarball that does not match the pinned hash, leaving nothing behind', function() {
+      return fetchPinned(`sha512-${crypto.createHash('sha512').update('tampered').digest('base64')}`).then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.be.an.instanceof(IntegrityError);
+        expect(err).to.include({code: 'ERR_INTEGRITY', analyser: 'sidekick-checked', version: '1.0.0'});
+        expect(fs.existsSync(path.join(installDir, 'sidekick-checked@1.0.0'))).to.be.false;
+      });
+    });
+
+    it('rejects a tarball pinned with an unsupported hash', function() {
+      return fetchPinned(`md5-${crypto.createHash('md5').update(fs.readFileSync(tarballPath)).digest('base64')}`).then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err).to.be.an.instanceof(IntegrityError);
+        expect(fs.existsSync(path.join(installDir, 'sidekick-checked@1.0.0'))).to.be.false;
+      });
+    });
+
+    after(function(done){
+      server.close(done);
+    });
+
+  });
+
+  after(function(){
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,98 @@
+var chai = require('chai');
+var expect = chai.expect;
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+
+var analysersDir = path.join(__dirname, '/idontexist/listInstalledFixtures');
+
+describe('installed analyser inventory', function() {
+
+  var am;
+
+  var InventoryExtractor = fakeExtractor({
+    versions: ['1.2.0', '1.10.0'],
+    files: function(analyser){
+      return {'config.json': {shortName: analyser.name}, 'index.js': '//twelve byte'};
+    },
+    result: function(analyser, version){
+      return {tarball: `https://example.com/${analyser.name}-${version}.tgz`};
+    }
+  });
+
+  before(function(){
+    AnalyserManger.registerExtractor('inventory', InventoryExtractor);
+    am = new AnalyserManger(analysersDir, {sources: [{name: 'test-list', analysers: {
+      "inventory-analyser": {"registry": "inventory", "config": {}}
+    }}]});
+
+    return am.init().then(function(){
+      return Promise.each(['1.10.0', '1.2.0'], function(version){
+        return am.installAnalyser({name: 'inventory-analyser', version: version});
+      });
+    }).then(function(){
+      //installed before manifests were written
+      fs.outputJsonSync(path.join(analysersDir, 'legacy-analyser@0.1.0', 'config.json'), {shortName: 'legacy'});
+      fs.outputJsonSync(path.join(analysersDir, '.installed', 'legacy-analyser@0.1.0.json'), {});
+      //did not finish installing
+      fs.mkdirsSync(path.join(analysersDir, 'broken-analyser@1.0.0'));
+    });
+  });
+
+  it('describes each installed analyser from its manifest', function() {
+    return am.listInstalled().then(function(installed){
+      expect(installed).to.have.length(3);
+
+      var first = installed[0];
+      expect(first.name).to.equal('inventory-analyser');
+      expect(first.version).to.equal('1.2.0');
+      expect(first.path).to.equal(path.join(analysersDir, 'inventory-analyser@1.2.0'));
+      expect(first.registry).to.equal('inventory');
+      expect(first.source).to.equal('test-list');
+      expect(first.tarball).to.equal('https://example.com/inventory-analyser-1.2.0.tgz');
+      expect(first.installedAt).to.be.an.instanceof(Date);
+      expect(first.bytes).to.be.above(13);
+      expect(first.config).to.deep.equal({shortName: 'inventory-analyser'});
+
+      expect(installed[1].version).to.equal('1.10.0');
+    });
+  });
+
+  it('fills in what it can for installs without a manifest', function() {
+    return am.listInstalled().then(function(installed){
+      var legacy = installed[2];
+      expect(legacy.name).to.equal('legacy-analyser');
+      expect(legacy.version).to.equal('0.1.0');
+      expect(legacy.registry).to.equal(null);
+      expect(legacy.installedAt).to.equal(null);
+      expect(legacy.bytes).to.be.above(0);
+      expect(legacy.config).to.deep.equal({shortName: 'legacy'});
+    });
+  });
+
+  it('lists from the install markers, rejecting rather than throwing on fs errors', function() {
+    var readdirSync = sinon.stub(fs, 'readdirSync').throws(new Error('EACCES: permission denied'));
+    var listing;
+    try {
+      listing = am.listInstalled();
+    } finally {
+      readdirSync.restore();
+    }
+    expect(readdirSync.called).to.be.false;
+
+    return listing.then(function(installed){
+      expect(installed).to.have.length(3);
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('inventory');
+    fs.removeSync(analysersDir);
+  });
+
+});
@@ -0,0 +1,111 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var execSync = require('child_process').execSync;
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+
+var fixturesDir = path.join(__dirname, '/idontexist/localFixtures');
+var analysersDir = path.join(fixturesDir, 'analysers');
+var sourceDir = path.join(fixturesDir, 'package');
+var sourceTarball = path.join(fixturesDir, 'my-analyser-2.0.0.tgz');
+
+describe('local extractor', function() {
+
+  var am;
+
+  function writeSource(version){
+    fs.writeJsonSync(path.join(sourceDir, 'package.json'), {name: 'my-analyser', version: version});
+    fs.writeJsonSync(path.join(sourceDir, 'config.json'), {shortName: 'my-analyser', version: version});
+  }
+
+  before(function(){
+    fs.removeSync(fixturesDir);
+    fs.mkdirsSync(path.join(sourceDir, 'bin'));
+    fs.writeFileSync(path.join(sourceDir, 'bin/install'), '#!/bin/sh\ntouch installed\n', {mode: 493});
+    writeSource('2.0.0');
+    execSync(`tar czf "${sourceTarball}" package`, {cwd: fixturesDir});
+    writeSource('1.0.0');
+
+    am = new AnalyserManger(analysersDir);
+    sinon.stub(am, 'fetchAnalyserList').returns(Promise.resolve({
+      "copied-analyser": {"registry": "local", "path": sourceDir, "config": {}},
+      "linked-analyser": {"registry": "local", "path": sourceDir, "link": true, "config": {}},
+      "packed-analyser": {"registry": "local", "path": sourceTarball, "config": {}}
+    }));
+  });
+
+  it('copies a directory using the version from its package.json', function() {
+    return am.installAnalyser({name: 'copied-analyser'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, 'copied-analyser@1.0.0'));
+      expect(fs.lstatSync(analyser.path).isSymbolicLink()).to.be.false;
+      expect(fs.existsSync(path.join(analyser.path, 'installed'))).to.be.true;
+    });
+  });
+
+  it('links a directory so edits are picked up', function() {
+    return am.installAnalyser({name: 'linked-analyser'}).then(function(analyser){
+      expect(fs.lstatSync(analyser.path).isSymbolicLink()).to.be.true;
+      expect(fs.existsSync(path.join(sourceDir, 'install.log'))).to.be.false;
+
+      fs.writeJsonSync(path.join(sourceDir, 'config.json'), {shortName: 'edited'});
+      return am.fetchAnalyser('linked-analyser', '1.0.0');
+    }).then(function(analyser){
+      expect(analyser).to.have.deep.property('config.shortName', 'edited');
+      expect(am.getAllInstalledAnalysers()).to.include('linked-analyser@1.0.0');
+    });
+  });
+
+  it('unpacks a tarball using the version from its package.json', function() {
+    return am.installAnalyser({name: 'packed-analyser'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, 'packed-analyser@2.0.0'));
+      expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.have.property('version', '2.0.0');
+      expect(fs.existsSync(path.join(analyser.path, 'installed'))).to.be.true;
+    });
+  });
+
+  it('fails for a version other than the one on disk', function() {
+    return am.installAnalyser({name: 'packed-analyser', version: '3.0.0'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/is version '2.0.0'/);
+    });
+  });
+
+  it('skips a linked analyser whose source has been removed', function() {
+    var movedDir = path.join(fixturesDir, 'moved');
+    return am.installAnalyser({name: 'linked-analyser'})
+      .then(function(){
+        fs.renameSync(sourceDir, movedDir);
+        expect(am.getAllInstalledAnalysers()).to.include('packed-analyser@2.0.0')
+          .and.not.to.include('linked-analyser@1.0.0');
+        expect(am.getLatestVersionOfInstalledAnalyser('linked-analyser')).to.not.be.ok;
+        return am.fetchAnalyser('packed-analyser');
+      })
+      .then(function(analyser){
+        expect(analyser).to.have.deep.property('config.shortName');
+        return am.checkForUpdates();
+      })
+      .then(function(updates){
+        expect(_.pluck(updates, 'name')).not.to.include('linked-analyser');
+        return am.prune({dryRun: true});
+      })
+      .then(function(pruned){
+        expect(pruned.removed).to.deep.equal([]);
+      })
+      .finally(function(){
+        fs.renameSync(movedDir, sourceDir);
+      });
+  });
+
+  after(function(){
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,230 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analyserLockfile = require('../analyserLockfile');
+var installLock = require('../installLock');
+
+var fixturesDir = path.join(__dirname, '/idontexist/lockfileFixtures');
+var lockfile = path.join(fixturesDir, 'sidekick-analysers.lock');
+
+describe('analyser lockfile', function() {
+
+  var latestVersion;
+  var pinnedIntegrity;
+  var tarballHost, integrityPrefix;
+
+  var LockableExtractor = fakeExtractor({
+    versions: ['1.0.0', '1.1.0', '1.2.0', '2.0.0'],
+    latest: function(){
+      return latestVersion;
+    },
+    result: function(analyser, version, analyserEntry){
+      pinnedIntegrity = (analyserEntry.integrity || {})[version];
+      return {tarball: `https://${tarballHost}/${analyser.name}-${version}.tgz`, integrity: `${integrityPrefix}-${version}`};
+    }
+  });
+
+  function createManager(machine, options, registry){
+    var sources = [{analysers: {"locked-analyser": {"registry": registry || "lockable", "config": {}}}}];
+    var am = new AnalyserManger(path.join(fixturesDir, machine), _.assign({sources: sources}, options));
+    return am.init().return(am);
+  }
+
+  before(function(){
+    AnalyserManger.registerExtractor('lockable', LockableExtractor);
+  });
+
+  beforeEach(function(){
+    fs.removeSync(fixturesDir);
+    latestVersion = '1.1.0';
+    pinnedIntegrity = undefined;
+    tarballHost = 'example.com';
+    integrityPrefix = 'sha512';
+  });
+
+  it('locks the version installed', function() {
+    return createManager('machine1', {lockfile: lockfile})
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser'});
+      })
+      .then(function(){
+        expect(fs.readJsonSync(lockfile)).to.deep.equal({
+          lockfileVersion: 1,
+          analysers: {
+            "locked-analyser": {
+              version: '1.1.0',
+              registry: 'lockable',
+              tarball: 'https://example.com/locked-analyser-1.1.0.tgz',
+              integrity: 'sha512-1.1.0'
+            }
+          }
+        });
+      });
+  });
+
+  it('installs the locked version on another machine, pinning its integrity', function() {
+    return createManager('machine1', {lockfile: lockfile})
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser'});
+      })
+      .then(function(){
+        latestVersion = '1.2.0';
+        return createManager('machine2', {lockfile: lockfile});
+      })
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser', version: '^1.0.0'})
+          .then(function(installed){
+            expect(installed.path).to.equal(path.join(fixturesDir, 'machine2', 'locked-analyser@1.1.0'));
+            expect(pinnedIntegrity).to.equal('sha512-1.1.0');
+            return am.installAll({languages: {js: {"locked-analyser": {}}}});
+          });
+      })
+      .then(function(results){
+        expect(results[0]).to.have.property('version', '1.1.0');
+      });
+  });
+
+  it('installs and locks a version the lock does not satisfy', function() {
+    return createManager('machine1', {lockfile: lockfile})
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser'})
+          .then(function(){
+            return am.installAnalyser({name: 'locked-analyser', version: '2.0.0'});
+          });
+      })
+      .then(function(installed){
+        expect(path.basename(installed.path)).to.equal('locked-analyser@2.0.0');
+        expect(pinnedIntegrity).to.equal(undefined);
+        expect(fs.readJsonSync(lockfile).analysers['locked-analyser']).to.have.property('version', '2.0.0');
+      });
+  });
+
+  function installOnAnotherMachine(registry, changeFn){
+    return createManager('machine1', {lockfile: lockfile})
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser'});
+      })
+      .then(function(){
+        if(changeFn){
+          changeFn();  //on the other machine
+        }
+        return createManager('machine2', {lockfile: lockfile}, registry);
+      })
+      .then(function(am){
+        return am.installAnalyser({name: 'locked-analyser'});
+      })
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(fs.existsSync(path.join(fixturesDir, 'machine2', 'locked-analyser@1.1.0'))).to.equal(false);
+        expect(fs.readJsonSync(lockfile).analysers['locked-analyser']).to.have.property('integrity', 'sha512-1.1.0');
+        return err;
+      });
+  }
+
+  it('rejects installing a locked version from a different registry', function() {
+    return installOnAnotherMachine('git').then(function(err){
+      expect(err).to.be.an.instanceof(AnalyserManger.errors.LockMismatchError);
+      expect(err).to.include({code: 'ERR_LOCK_MISMATCH', field: 'registry', locked: 'lockable', actual: 'git'});
+    });
+  });
+
+  it('rejects installing a locked version from a different tarball', function() {
+    return installOnAnotherMachine(null, function(){
+      tarballHost = 'mirror.example.com';
+    }).then(function(err){
+      expect(err).to.include({code: 'ERR_LOCK_MISMATCH', field: 'tarball', locked: 'https://example.com/locked-analyser-1.1.0.tgz'});
+    });
+  });
+
+  it('rejects installing a locked version with a different integrity, whatever the registry', function() {
+    return installOnAnotherMachine(null, function(){
+      integrityPrefix = 'sha1';
+    }).then(function(err){
+      expect(err).to.include({code: 'ERR_INTEGRITY', expected: 'sha512-1.1.0', actual: 'sha1-1.1.0'});
+    });
+  });
+
+  it('refreshes the lock for selected analysers', function() {
+    var am;
+    return createManager('machine1', {lockfile: lockfile})
+      .then(function(created){
+        am = created;
+        return am.installAnalyser({name: 'locked-analyser'});
+      })
+      .then(function(){
+        latestVersion = '1.2.0';
+        return am.refreshLock(['locked-analyser']);
+      })
+      .then(function(results){
+        expect(results).to.deep.equal([{name: 'locked-analyser', from: '1.1.0', to: '1.2.0', status: 'updated'}]);
+        expect(fs.readJsonSync(lockfile).analysers['locked-analyser']).to.have.property('integrity', 'sha512-1.2.0');
+        return am.refreshLock();
+      })
+      .then(function(results){
+        expect(results).to.deep.equal([{name: 'locked-analyser', from: '1.2.0', to: '1.2.0', status: 'unchanged'}]);
+      });
+  });
+
+  it('serialises updates to the lockfile', function() {
+    return Promise.all(_.map(['a', 'b', 'c'], function(name){
+      return analyserLockfile.update(lockfile, function(lock){
+        lock.analysers[name] = {version: '1.0.0'};
+      });
+    }))
+    .then(function(){
+      expect(_.keys(fs.readJsonSync(lockfile).analysers)).to.deep.equal(['a', 'b', 'c']);
+    });
+  });
+
+  it('waits for other processes updating the lockfile', function() {
+    var lockFile = `${lockfile}.lock`;
+    var updated = false;
+    fs.outputJsonSync(lockFile, {pid: process.ppid, hostname: os.hostname()});
+
+    var updating = analyserLockfile.update(lockfile, function(lock){
+      lock.analysers.a = {version: '1.0.0'};
+    }, {retryInterval: 10}).then(function(){
+      updated = true;
+    });
+
+    return Promise.delay(50)
+      .then(function(){
+        expect(updated).to.equal(false);
+        expect(fs.existsSync(lockfile)).to.equal(false);
+        fs.removeSync(lockFile);
+        return updating;
+      })
+      .then(function(){
+        expect(fs.readJsonSync(lockfile).analysers).to.deep.equal({a: {version: '1.0.0'}});
+        expect(fs.existsSync(lockFile)).to.equal(false);
+        expect(fs.existsSync(path.join(fixturesDir, installLock.LOCK_DIR_NAME))).to.equal(false);
+      });
+  });
+
+  it('rejects refreshing without a lockfile', function() {
+    return createManager('machine1')
+      .then(function(am){
+        return am.refreshLock();
+      })
+      .then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.message).to.match(/no lockfile is configured/);
+      });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('lockable');
+    fs.removeSync(fixturesDir);
+  });
+
+});
@@ -0,0 +1,139 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var http = require('http');
+
+var AnalyserManger = require('../../analyser-manager');
+
+var analysersDir = path.join(__dirname, '/idontexist/offlineFixtures');
+
+describe('analyser list cache and offline mode', function() {
+
+  var server, listURL, requests, status;
+
+  var analysers = {"sidekick-david": {"registry": "npm", "config": {"shortName": "david-dm"}}};
+
+  before(function(done){
+    server = http.createServer(function(req, res){
+      requests.push(req.headers);
+      if(status !== 200){
+        res.writeHead(status);
+        res.end();
+      } else if(req.headers['if-none-match'] === '"v1"'){
+        res.writeHead(304);
+        res.end();
+      } else {
+        res.writeHead(200, {'ETag': '"v1"'});
+        res.end(JSON.stringify(analysers));
+      }
+    });
+    server.listen(0, '127.0.0.1', function(){
+      listURL = `http://127.0.0.1:${server.address().port}/analysers.json`;
+      done();
+    });
+  });
+
+  beforeEach(function(){
+    requests = [];
+    status = 200;
+  });
+
+  it('persists the list and revalidates it with its ETag once the TTL has passed', function() {
+    var am = new AnalyserManger(analysersDir, {sources: [listURL], listCacheTTL: 0});
+
+    return am.init().then(function(){
+      expect(requests).to.have.length(1);
+      expect(fs.existsSync(path.join(analysersDir, '.analyser-list-cache.json'))).to.be.true;
+      return am.fetchAnalyserList();
+    }).then(function(list){
+      expect(requests).to.have.length(2);
+      expect(requests[1]).to.have.property('if-none-match', '"v1"');
+      expect(list).to.have.deep.property('sidekick-david.config.shortName', 'david-dm');
+    });
+  });
+
+  it('serves the cached list within the TTL', function() {
+    var am = new AnalyserManger(analysersDir, {sources: [listURL]});
+
+    return am.fetchAnalyserList().then(function(list){
+      expect(requests).to.have.length(0);
+      expect(list).to.have.property('sidekick-david');
+    });
+  });
+
+  it('falls back to the cached list when fetching fails', function() {
+    var am = new AnalyserManger(analysersDir, {sources: [listURL], listCacheTTL: 0, http: {retries: 0}});
+    var fallback = sinon.spy();
+    am.on('listCacheFallback', fallback);
+    status = 500;
+
+    return am.fetchAnalyserList().then(function(list){
+      expect(list).to.have.property('sidekick-david');
+      expect(fallback.calledOnce).to.be.true;
+      expect(fallback.firstCall.args[0].error.message).to.match(/status: 500/);
+    });
+  });
+
+  describe('offline', function() {
+
+    var am;
+
+    before(function(){
+      var installed = path.join(analysersDir, 'sidekick-david@1.0.3');
+      fs.mkdirsSync(installed);
+      fs.writeJsonSync(path.join(installed, 'config.json'), {shortName: 'david-dm'});
+      am = new AnalyserManger(analysersDir, {sources: [listURL], offline: true, listCacheTTL: 0});
+      return am.adoptLegacyInstalls();  //installed before completed installs were marked
+    });
+
+    it('uses the cached list without going to the network', function() {
+      return am.init().then(function(){
+        expect(requests).to.have.length(0);
+        expect(am.ALL_ANALYSERS).to.have.property('sidekick-david');
+      });
+    });
+
+    it('initialises without a cached list', function() {
+      var noCache = new AnalyserManger(analysersDir, {sources: [listURL + '?other'], offline: true});
+      return noCache.init().then(function(){
+        expect(requests).to.have.length(0);
+        expect(noCache.ALL_ANALYSERS).to.be.null;
+      });
+    });
+
+    it('resolves installed analysers', function() {
+      return am.installAnalyser({name: 'sidekick-david'}).then(function(analyser){
+        expect(analyser).to.have.property('path', path.join(analysersDir, 'sidekick-david@1.0.3'));
+        expect(analyser).to.have.deep.property('config.shortName', 'david-dm');
+      });
+    });
+
+    it('fails for analysers that are not installed', function() {
+      return am.installAnalyser({name: 'sidekick-david', version: '2.0.0'}).then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.name).to.equal('OfflineError');
+        expect(err.message).to.match(/sidekick-david@2.0.0' is not installed/);
+      });
+    });
+
+    it('fails to check for newer versions', function() {
+      return am.isNewerVersionAvailable('sidekick-david', '1.0.3').then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.name).to.equal('OfflineError');
+      });
+    });
+
+  });
+
+  after(function(done){
+    fs.removeSync(analysersDir);
+    server.close(done);
+  });
+
+});
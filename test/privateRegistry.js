@@ -0,0 +1,180 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var http = require('http');
+var crypto = require('crypto');
+var execSync = require('child_process').execSync;
+
+var AnalyserManger = require('../../analyser-manager');
+var npmrc = require('../../analyser-manager/extractors/npmrc');
+
+var fixturesDir = path.join(__dirname, '/idontexist/privateRegistryFixtures');
+var analysersDir = path.join(fixturesDir, 'analysers');
+var tarballPath = path.join(fixturesDir, 'sidekick-custom-1.0.0.tgz');
+
+describe('private npm registries', function() {
+
+  describe('npmrc', function() {
+
+    it('parses .npmrc files, expanding environment variables', function() {
+      process.env.TEST_NPM_TOKEN = 'from-env';
+      var settings = npmrc.parse([
+        '# comment',
+        'registry = https://npm.example.com/',
+        '@ourco:registry=https://npm.ourco.com/npm/',
+        '//npm.ourco.com/npm/:_authToken=${TEST_NPM_TOKEN}',
+        'not a setting'
+      ].join('\n'));
+
+      expect(settings).to.deep.equal({
+        'registry': 'https://npm.example.com/',
+        '@ourco:registry': 'https://npm.ourco.com/npm/',
+        '//npm.ourco.com/npm/:_authToken': 'from-env'
+      });
+      delete process.env.TEST_NPM_TOKEN;
+    });
+
+    it('picks the registry by scope', function() {
+      var settings = {'@ourco:registry': 'https://npm.ourco.com/npm'};
+      expect(npmrc.registryFor('@ourco/sidekick-custom', settings)).to.equal('https://npm.ourco.com/npm/');
+      expect(npmrc.registryFor('sidekick-david', settings)).to.equal(npmrc.DEFAULT_REGISTRY);
+      expect(npmrc.metadataURL('@ourco/sidekick-custom', 'https://npm.ourco.com/npm/')).to.equal('https://npm.ourco.com/npm/@ourco%2fsidekick-custom');
+    });
+
+    it('only sends credentials to URLs under the registry they are for', function() {
+      var settings = {'//npm.ourco.com/npm/:_authToken': 'tok', '//other.ourco.com/:_auth': 'dXNlcjpwYXNz'};
+      expect(npmrc.authHeaders('https://npm.ourco.com/npm/@ourco/x/-/x-1.0.0.tgz', settings)).to.deep.equal({authorization: 'Bearer tok'});
+      expect(npmrc.authHeaders('https://other.ourco.com/x', settings)).to.deep.equal({authorization: 'Basic dXNlcjpwYXNz'});
+      expect(npmrc.authHeaders('https://npm.ourco.com/x.tgz', settings)).to.deep.equal({});
+      expect(npmrc.authHeaders('https://cdn.example.com/npm/x.tgz', settings)).to.deep.equal({});
+    });
+
+  });
+
+  describe('installing', function() {
+
+    var server, registryURL, requests;
+
+    before(function(done){
+      fs.removeSync(fixturesDir);
+      fs.mkdirsSync(path.join(fixturesDir, 'package/bin'));
+      fs.writeJsonSync(path.join(fixturesDir, 'package/package.json'), {name: '@ourco/sidekick-custom', version: '1.0.0'});
+      fs.writeJsonSync(path.join(fixturesDir, 'package/config.json'), {shortName: 'custom'});
+      fs.writeFileSync(path.join(fixturesDir, 'package/bin/install'), '#!/bin/sh\n', {mode: 493});
+      execSync(`tar czf "${tarballPath}" package`, {cwd: fixturesDir});
+      var tarball = fs.readFileSync(tarballPath);
+
+      server = http.createServer(function(req, res){
+        requests.push({url: req.url, authorization: req.headers.authorization});
+        if(req.headers.authorization !== 'Bearer s3cret'){
+          res.writeHead(401);
+          res.end();
+        } else if(req.url === '/npm/@ourco%2fsidekick-custom'){
+          res.writeHead(200);
+          res.end(JSON.stringify({
+            'dist-tags': {latest: '1.0.0'},
+            versions: {'1.0.0': {dist: {
+              tarball: `${registryURL}@ourco/sidekick-custom/-/sidekick-custom-1.0.0.tgz`,
+              shasum: crypto.createHash('sha1').update(tarball).digest('hex')
+            }}}
+          }));
+        } else if(req.url === '/npm/@ourco/sidekick-custom/-/sidekick-custom-1.0.0.tgz'){
+          res.writeHead(200, {'Content-Length': tarball.length});
+          res.end(tarball);
+        } else {
+          res.writeHead(404);
+          res.end();
+        }
+      });
+      server.listen(0, '127.0.0.1', function(){
+        registryURL = `http://127.0.0.1:${server.address().port}/npm/`;
+        done();
+      });
+    });
+
+    beforeEach(function(){
+      requests = [];
+      fs.removeSync(analysersDir);
+    });
+
+    function managerWith(npmOptions, entry){
+      return new AnalyserManger(analysersDir, {
+        npm: npmOptions,
+        tarballCache: false,
+        sources: [{analysers: {"@ourco/sidekick-custom": Object.assign({"registry": "npm", "config": {}}, entry)}}]
+      });
+    }
+
+    it('installs from the registry for the scope with the token from an .npmrc', function() {
+      var npmrcPath = path.join(fixturesDir, '.npmrc');
+      fs.writeFileSync(npmrcPath, `@ourco:registry=${registryURL}\n//127.0.0.1:${server.address().port}/npm/:_authToken=s3cret\n`);
+      var am = managerWith({npmrc: npmrcPath});
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: '@ourco/sidekick-custom'});
+      }).then(function(analyser){
+        expect(analyser.path).to.equal(path.join(analysersDir, '@ourco+sidekick-custom@1.0.0'));
+        expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.deep.equal({shortName: 'custom'});
+        expect(requests.map(function(request){
+          return request.authorization;
+        })).to.deep.equal(['Bearer s3cret', 'Bearer s3cret', 'Bearer s3cret']);  //latest version, metadata, tarball
+      });
+    });
+
+    it('installs from the registry in the analysers.json entry with a token from the options', function() {
+      var tokens = {};
+      tokens[registryURL] = 's3cret';
+      var am = managerWith({npmrc: [], authTokens: tokens}, {npmRegistry: registryURL});
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: '@ourco/sidekick-custom', version: '1.0.0'});
+      }).then(function(analyser){
+        expect(fs.existsSync(analyser.path)).to.equal(true);
+      });
+    });
+
+    it('emits download progress through the manager', function() {
+      var tokens = {};
+      tokens[registryURL] = 's3cret';
+      var am = managerWith({npmrc: [], authTokens: tokens, scopes: {'@ourco': registryURL}});
+      var progress = [];
+      am.on('progress', function(args){
+        progress.push(args[0]);  //proxied extractor events arrive as their args
+      });
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: '@ourco/sidekick-custom', version: '1.0.0'});
+      }).then(function(){
+        var last = progress[progress.length - 1];
+        expect(last).to.have.property('analyser', '@ourco/sidekick-custom');
+        expect(last).to.have.property('version', '1.0.0');
+        expect(last.received).to.equal(fs.statSync(tarballPath).size);
+        expect(last.total).to.equal(last.received);
+        expect(last.percent).to.equal(100);
+      });
+    });
+
+    it('fails without credentials', function() {
+      var am = managerWith({npmrc: [], scopes: {'@ourco': registryURL}});
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: '@ourco/sidekick-custom', version: '1.0.0'});
+      }).then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.message).to.match(/status: 401/);
+        expect(err).to.include({code: 'ERR_REGISTRY', statusCode: 401});
+        expect(fs.existsSync(path.join(analysersDir, '@ourco+sidekick-custom@1.0.0'))).to.equal(false);
+      });
+    });
+
+    after(function(done){
+      fs.removeSync(fixturesDir);
+      server.close(done);
+    });
+
+  });
+
+});
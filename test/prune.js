@@ -0,0 +1,156 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var installLock = require('../installLock');
+
+var analysersDir = path.join(__dirname, '/idontexist/pruneFixtures');
+
+describe('uninstall and prune', function() {
+
+  var am;
+
+  var PruneExtractor = fakeExtractor({
+    versions: ['1.0.0', '1.1.0', '2.0.0'],
+    files: function(analyser, version){
+      return {'config.json': {shortName: analyser.name, version: version}};
+    }
+  });
+
+  function install(versions){
+    return Promise.each(versions, function(dirName){
+      var parts = dirName.split('@');
+      return am.installAnalyser({name: parts[0], version: parts[1]});
+    });
+  }
+
+  function installed(){
+    return am.getAllInstalledAnalysers().sort();
+  }
+
+  before(function(){
+    AnalyserManger.registerExtractor('prunable', PruneExtractor);
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+      "old-analyser": {"registry": "prunable", "config": {}},
+      "other-analyser": {"registry": "prunable", "config": {}}
+    }}]});
+    return am.init();
+  });
+
+  beforeEach(function(){
+    return install(['old-analyser@1.0.0', 'old-analyser@1.1.0', 'old-analyser@2.0.0', 'other-analyser@1.0.0']);
+  });
+
+  it('uninstalls an analyser version and reports the space freed', function() {
+    var uninstalling = sinon.spy();
+    var uninstalled = sinon.spy();
+    am.once('uninstalling', uninstalling);
+    am.once('uninstalled', uninstalled);
+
+    return am.uninstallAnalyser('old-analyser', '1.0.0').then(function(result){
+      expect(result).to.have.property('path', path.join(analysersDir, 'old-analyser@1.0.0'));
+      expect(result.bytes).to.be.above(0);
+      expect(fs.existsSync(result.path)).to.be.false;
+      expect(installed()).to.not.include('old-analyser@1.0.0');
+      expect(uninstalling.firstCall.args[0]).to.deep.equal({analyser: 'old-analyser', version: '1.0.0'});
+      expect(uninstalled.calledOnce).to.be.true;
+    });
+  });
+
+  it('refuses to uninstall a version that is in use', function() {
+    return am.markInUse('old-analyser', '1.1.0').then(function(release){
+      return am.uninstallAnalyser('old-analyser', '1.1.0').then(function(){
+        throw new Error('should have failed');
+      }, function(err){
+        expect(err.name).to.equal('AnalyserInUseError');
+        expect(err.reason).to.equal('it is in use');
+        return release();
+      });
+    }).then(function(){
+      return am.uninstallAnalyser('old-analyser', '1.1.0');
+    });
+  });
+
+  it('does not emit uninstalling for a version that comes into use while it takes the lock', function() {
+    var uninstalling = sinon.spy();
+    am.on('uninstalling', uninstalling);
+
+    var uninstall = am.uninstallAnalyser('old-analyser', '1.1.0');
+    var useFile = path.join(analysersDir, installLock.IN_USE_DIR_NAME, 'old-analyser@1.1.0', 'other.json');
+    fs.outputJsonSync(useFile, {pid: process.pid, hostname: os.hostname()});
+
+    return uninstall.then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.reason).to.equal('it is in use');
+      expect(uninstalling.called).to.be.false;
+    }).finally(function(){
+      am.removeListener('uninstalling', uninstalling);
+      fs.removeSync(useFile);
+    });
+  });
+
+  it('refuses to uninstall a version another process is installing', function() {
+    fs.outputJsonSync(installLock.lockPath(analysersDir, 'old-analyser@2.0.0'), {pid: process.ppid, hostname: os.hostname()});
+
+    return am.uninstallAnalyser('old-analyser', '2.0.0').then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.reason).to.equal('it is being installed');
+      fs.removeSync(installLock.lockPath(analysersDir, 'old-analyser@2.0.0'));
+    });
+  });
+
+  it('keeps the newest versions of each analyser', function() {
+    return am.prune({keep: 2}).then(function(report){
+      expect(_.pluck(report.removed, 'version')).to.deep.equal(['1.0.0']);
+      expect(report.bytesFreed).to.equal(report.removed[0].bytes);
+      expect(installed()).to.deep.equal(['old-analyser@1.1.0', 'old-analyser@2.0.0', 'other-analyser@1.0.0']);
+    });
+  });
+
+  it('keeps versions referenced by a .sidekickrc', function() {
+    var sidekickrc = {languages: {js: {"old-analyser": {version: '~1.0.0'}}}};
+
+    return am.prune({keepReferencedBy: [sidekickrc]}).then(function(){
+      expect(installed()).to.deep.equal(['old-analyser@1.0.0', 'old-analyser@2.0.0', 'other-analyser@1.0.0']);
+    });
+  });
+
+  it('only removes versions installed before olderThanDays', function() {
+    var markerFile = path.join(analysersDir, '.installed', 'old-analyser@1.0.0.json');
+    var marker = fs.readJsonSync(markerFile);
+    marker.installedAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    fs.writeJsonSync(markerFile, marker);
+
+    return am.prune({olderThanDays: 7}).then(function(report){
+      expect(_.pluck(report.removed, 'version')).to.deep.equal(['1.0.0']);
+    });
+  });
+
+  it('skips versions in use and removes nothing on a dry run', function() {
+    return am.markInUse('old-analyser', '1.0.0').then(function(release){
+      return am.prune({dryRun: true}).then(function(report){
+        expect(_.pluck(report.removed, 'version')).to.deep.equal(['1.1.0']);
+        expect(report.skipped).to.deep.equal([{name: 'old-analyser', version: '1.0.0', reason: 'it is in use'}]);
+        expect(installed()).to.have.length(4);
+        return release();
+      });
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('prunable');
+    fs.removeSync(analysersDir);
+  });
+
+});
@@ -0,0 +1,91 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analyserDirs = require('../../analyser-manager/analyserDirs');
+
+var analysersDir = path.join(__dirname, '/idontexist/scopedNameFixtures');
+
+describe('scoped analyser names', function() {
+
+  describe('analyserDirs', function() {
+
+    it('names a single dir for scoped analysers', function() {
+      expect(analyserDirs.dirName('my-analyser', '1.0.0')).to.equal('my-analyser@1.0.0');
+      expect(analyserDirs.dirName('@ourco/sidekick-custom', '1.0.0')).to.equal('@ourco+sidekick-custom@1.0.0');
+    });
+
+    it('parses dir names', function() {
+      expect(analyserDirs.parse('my-analyser@1.0.0')).to.deep.equal({name: 'my-analyser', version: '1.0.0'});
+      expect(analyserDirs.parse('@ourco+sidekick-custom@1.0.0-beta.1')).to.deep.equal({name: '@ourco/sidekick-custom', version: '1.0.0-beta.1'});
+      expect(analyserDirs.parse('@ourco+sidekick-custom')).to.equal(null);
+      expect(analyserDirs.parse('my-analyser@')).to.equal(null);
+      expect(analyserDirs.parse('.installed')).to.equal(null);
+    });
+
+  });
+
+  describe('installing', function() {
+
+    var am;
+
+    var ScopedExtractor = fakeExtractor({
+      versions: ['1.0.0', '2.0.0']
+    });
+
+    before(function(){
+      AnalyserManger.registerExtractor('scoped', ScopedExtractor);
+      am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+        "@ourco/sidekick-custom": {"registry": "scoped", "config": {}},
+        "sidekick-custom": {"registry": "scoped", "config": {}}
+      }}]});
+
+      return am.init().then(function(){
+        return Promise.each(['1.0.0', '2.0.0'], function(version){
+          return am.installAnalyser({name: '@ourco/sidekick-custom', version: version});
+        });
+      }).then(function(){
+        return am.installAnalyser({name: 'sidekick-custom', version: '1.0.0'});
+      });
+    });
+
+    it('installs each version into one dir in the install dir', function() {
+      return am.fetchAnalyser('@ourco/sidekick-custom', '1.0.0').then(function(analyser){
+        expect(analyser.path).to.equal(path.join(analysersDir, '@ourco+sidekick-custom@1.0.0'));
+        expect(analyser.config).to.deep.equal({shortName: '@ourco/sidekick-custom'});
+        expect(fs.existsSync(path.join(analysersDir, '@ourco'))).to.equal(false);
+      });
+    });
+
+    it('does not confuse scoped and unscoped analysers with the same name', function() {
+      expect(am.getInstalledVersions('@ourco/sidekick-custom')).to.deep.equal(['1.0.0', '2.0.0']);
+      expect(am.getInstalledVersions('sidekick-custom')).to.deep.equal(['1.0.0']);
+      expect(am.getLatestVersionOfInstalledAnalyser('@ourco/sidekick-custom')).to.equal('2.0.0');
+    });
+
+    it('lists and uninstalls scoped analysers', function() {
+      return am.listInstalled().then(function(installed){
+        expect(installed.map(function(analyser){
+          return `${analyser.name}@${analyser.version}`;
+        })).to.deep.equal(['@ourco/sidekick-custom@1.0.0', '@ourco/sidekick-custom@2.0.0', 'sidekick-custom@1.0.0']);
+
+        return am.uninstallAnalyser('@ourco/sidekick-custom', '1.0.0');
+      }).then(function(removed){
+        expect(removed.name).to.equal('@ourco/sidekick-custom');
+        expect(am.getInstalledVersions('@ourco/sidekick-custom')).to.deep.equal(['2.0.0']);
+      });
+    });
+
+    after(function(){
+      AnalyserManger.unregisterExtractor('scoped');
+      fs.removeSync(analysersDir);
+    });
+
+  });
+
+});
@@ -0,0 +1,221 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var crypto = require('crypto');
+var execSync = require('child_process').execSync;
+
+var AnalyserManger = require('../../analyser-manager');
+var tarballCache = require('../../analyser-manager/tarballCache');
+
+var fixturesDir = path.join(__dirname, '/idontexist/tarballCacheFixtures');
+var cacheDir = path.join(fixturesDir, 'cache');
+var tarballPath = path.join(fixturesDir, 'cached-analyser-1.0.0.tgz');
+
+function integrityOf(contents){
+  return 'sha512-' + crypto.createHash('sha512').update(contents).digest('base64');
+}
+
+describe('tarball cache', function() {
+
+  beforeEach(function(){
+    fs.removeSync(cacheDir);
+  });
+
+  describe('tarballCache', function() {
+
+    function cache(name, contents, maxSize){
+      var file = path.join(fixturesDir, name);
+      fs.outputFileSync(file, contents);
+      return tarballCache.put(cacheDir, integrityOf(contents), file, maxSize);
+    }
+
+    it('stores tarballs by their hash', function() {
+      return cache('a.tgz', 'aaaa').then(function(){
+        return tarballCache.get(cacheDir, integrityOf('aaaa'));
+      }).then(function(cached){
+        expect(path.basename(cached)).to.match(/^sha512-[0-9a-f]{128}\.tgz$/);
+        expect(fs.readFileSync(cached, 'utf8')).to.equal('aaaa');
+        return tarballCache.get(cacheDir, integrityOf('bbbb'));
+      }).then(function(cached){
+        expect(cached).to.equal(null);
+      });
+    });
+
+    it('removes a cached tarball that does not match its hash', function() {
+      return cache('a.tgz', 'aaaa').then(function(){
+        fs.writeFileSync(tarballCache.fileFor(cacheDir, integrityOf('aaaa')), 'corrupt');
+        return tarballCache.get(cacheDir, integrityOf('aaaa'));
+      }).then(function(cached){
+        expect(cached).to.equal(null);
+        expect(fs.readdirSync(cacheDir)).to.deep.equal([]);
+      });
+    });
+
+    it('evicts the least recently used tarballs past the size limit', function() {
+      var old = new Date(Date.now() - 60000);
+      return cache('a.tgz', 'aaaa').then(function(){
+        return cache('b.tgz', 'bbbb');
+      }).then(function(){
+        fs.utimesSync(tarballCache.fileFor(cacheDir, integrityOf('aaaa')), old, old);
+        fs.utimesSync(tarballCache.fileFor(cacheDir, integrityOf('bbbb')), old, new Date(old.getTime() - 1000));
+        return tarballCache.get(cacheDir, integrityOf('aaaa'));  //now the most recently used
+      }).then(function(){
+        return cache('c.tgz', 'cccc', 8);
+      }).then(function(){
+        expect(fs.existsSync(tarballCache.fileFor(cacheDir, integrityOf('aaaa')))).to.equal(true);
+        expect(fs.existsSync(tarballCache.fileFor(cacheDir, integrityOf('bbbb')))).to.equal(false);
+        expect(fs.existsSync(tarballCache.fileFor(cacheDir, integrityOf('cccc')))).to.equal(true);
+      });
+    });
+
+  });
+
+  describe('installing', function() {
+
+    var server, registryURL, requests;
+
+    before(function(done){
+      fs.removeSync(fixturesDir);
+      fs.mkdirsSync(path.join(fixturesDir, 'package/bin'));
+      fs.writeJsonSync(path.join(fixturesDir, 'package/config.json'), {shortName: 'cached'});
+      fs.writeFileSync(path.join(fixturesDir, 'package/bin/install'), '#!/bin/sh\n', {mode: 493});
+      execSync(`tar czf "${tarballPath}" package`, {cwd: fixturesDir});
+      var tarball = fs.readFileSync(tarballPath);
+
+      server = http.createServer(function(req, res){
+        requests.push(req.url);
+        if(req.url === '/cached-analyser'){
+          res.writeHead(200);
+          res.end(JSON.stringify({
+            'dist-tags': {latest: '1.0.0'},
+            versions: {'1.0.0': {dist: {tarball: `${registryURL}cached-analyser/-/cached-analyser-1.0.0.tgz`, integrity: integrityOf(tarball)}}}
+          }));
+        } else {
+          res.writeHead(200);
+          res.end(tarball);
+        }
+      });
+      server.listen(0, '127.0.0.1', function(){
+        registryURL = `http://127.0.0.1:${server.address().port}/`;
+        done();
+      });
+    });
+
+    beforeEach(function(){
+      requests = [];
+    });
+
+    function managerFor(installDir){
+      return new AnalyserManger(path.join(fixturesDir, installDir), {
+        npm: {npmrc: [], registry: registryURL},
+        tarballCache: {dir: cacheDir},
+        sources: [{analysers: {"cached-analyser": {"registry": "npm", "config": {}}}}]
+      });
+    }
+
+    it('only downloads a tarball once for every install dir', function() {
+      var first = managerFor('workspace1');
+      var second = managerFor('workspace2');
+      var cacheHit = sinon.spy();
+      var cacheMiss = sinon.spy();
+      first.on('cacheMiss', cacheMiss);
+      second.on('cacheHit', cacheHit);
+
+      return first.init().then(function(){
+        return first.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(){
+        return second.init();
+      }).then(function(){
+        return second.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(analyser){
+        expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.deep.equal({shortName: 'cached'});
+        expect(cacheMiss.calledOnce).to.equal(true);
+        expect(cacheHit.calledOnce).to.equal(true);
+        expect(cacheHit.firstCall.args[0][0]).to.have.property('analyser', 'cached-analyser');
+        expect(requests).to.deep.equal(['/cached-analyser', '/cached-analyser/-/cached-analyser-1.0.0.tgz', '/cached-analyser']);
+      });
+    });
+
+    it('shares a cache in the home dir by default', function() {
+      var homedir = sinon.stub(os, 'homedir').returns(path.join(fixturesDir, 'home'));
+      var am;
+      try {
+        am = new AnalyserManger(path.join(fixturesDir, 'workspace4'), {
+          npm: {npmrc: [], registry: registryURL},
+          sources: [{analysers: {"cached-analyser": {"registry": "npm", "config": {}}}}]
+        });
+      } finally {
+        homedir.restore();
+      }
+      expect(am.TARBALL_CACHE.dir).to.equal(path.join(fixturesDir, 'home', '.sidekick', 'tarball-cache'));
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(){
+        expect(fs.readdirSync(am.TARBALL_CACHE.dir)).to.have.length(1);
+      });
+    });
+
+    it("keeps the cache in the install dir when the home dir's can't be written", function() {
+      var installDir = path.join(fixturesDir, 'workspace6');
+      var homedir = sinon.stub(os, 'homedir').returns(path.join(tarballPath, 'home'));  //under a file
+      var am;
+      try {
+        am = new AnalyserManger(installDir, {
+          npm: {npmrc: [], registry: registryURL},
+          sources: [{analysers: {"cached-analyser": {"registry": "npm", "config": {}}}}]
+        });
+      } finally {
+        homedir.restore();
+      }
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(){
+        expect(fs.readdirSync(path.join(installDir, tarballCache.DIR_NAME))).to.have.length(1);
+        expect(am.getAllInstalledAnalysers()).to.deep.equal(['cached-analyser@1.0.0']);
+      });
+    });
+
+    it('installs without the cache when the cache dir cannot be written', function() {
+      var am = new AnalyserManger(path.join(fixturesDir, 'workspace5'), {
+        npm: {npmrc: [], registry: registryURL},
+        tarballCache: {dir: path.join(tarballPath, 'cache')},  //under a file
+        sources: [{analysers: {"cached-analyser": {"registry": "npm", "config": {}}}}]
+      });
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(analyser){
+        expect(fs.readJsonSync(path.join(analyser.path, 'config.json'))).to.deep.equal({shortName: 'cached'});
+      });
+    });
+
+    it('clears the cache', function() {
+      var am = managerFor('workspace3');
+
+      return am.init().then(function(){
+        return am.installAnalyser({name: 'cached-analyser', version: '1.0.0'});
+      }).then(function(){
+        return am.clearCache();
+      }).then(function(cleared){
+        expect(cleared.files).to.equal(1);
+        expect(cleared.bytes).to.equal(fs.statSync(tarballPath).size);
+        expect(fs.readdirSync(cacheDir)).to.deep.equal([]);
+      });
+    });
+
+    after(function(done){
+      fs.removeSync(fixturesDir);
+      server.close(done);
+    });
+
+  });
+
+});
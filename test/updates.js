@@ -0,0 +1,104 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+var _ = require('lodash');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+
+var analysersDir = path.join(__dirname, '/idontexist/updateFixtures');
+
+describe('update planner', function() {
+
+  var am;
+
+  var latestVersions = {
+    "patched-analyser": '1.0.1',
+    "minor-analyser": '1.1.0',
+    "major-analyser": '2.0.0',
+    "current-analyser": '1.0.0'
+  };
+
+  var UpdateExtractor = fakeExtractor({
+    versions: function(analyserName){
+      return [latestVersions[analyserName]];
+    },
+    result: function(analyser, version){
+      return analyser.name === 'minor-analyser' && version !== '1.0.0' ? Promise.reject(new Error('bin/install failed')) : Promise.resolve();
+    }
+  });
+
+  before(function(){
+    AnalyserManger.registerExtractor('updatable', UpdateExtractor);
+    var analysers = _.mapValues(latestVersions, function(){
+      return {"registry": "updatable", "config": {}};
+    });
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: analysers}]});
+
+    return am.init().then(function(){
+      return Promise.each(_.keys(latestVersions), function(analyserName){
+        return am.installAnalyser({name: analyserName, version: '1.0.0'});
+      });
+    }).then(function(){
+      //an analyser no longer in the list
+      fs.mkdirsSync(path.join(analysersDir, 'removed-analyser@1.0.0'));
+      fs.outputJsonSync(path.join(analysersDir, '.installed', 'removed-analyser@1.0.0.json'), {});
+    });
+  });
+
+  it('classifies the updates available for installed analysers', function() {
+    return am.checkForUpdates().then(function(plan){
+      var byName = _.indexBy(plan, 'name');
+
+      expect(byName['patched-analyser']).to.deep.equal({name: 'patched-analyser', current: '1.0.0', latest: '1.0.1', type: 'patch'});
+      expect(byName['minor-analyser']).to.have.property('type', 'minor');
+      expect(byName['major-analyser']).to.have.property('type', 'major');
+      expect(byName['current-analyser']).to.have.property('type', 'none');
+      expect(byName['removed-analyser']).to.have.property('type', 'none');
+      expect(byName['removed-analyser'].error.name).to.equal('UnknownAnalyserError');
+    });
+  });
+
+  it('applies the updates allowed and reports progress', function() {
+    var updating = sinon.spy();
+    var updated = sinon.spy();
+    var updateFailed = sinon.spy();
+    am.on('updating', updating);
+    am.on('updated', updated);
+    am.on('updateFailed', updateFailed);
+
+    return am.checkForUpdates().then(function(plan){
+      return am.applyUpdates(plan, {allow: 'minor'});
+    }).then(function(results){
+      var byName = _.indexBy(results, 'name');
+
+      expect(byName['patched-analyser']).to.have.property('status', 'updated');
+      expect(byName['minor-analyser']).to.have.property('status', 'failed');
+      expect(byName['major-analyser']).to.have.property('status', 'skipped');
+      expect(byName['current-analyser']).to.have.property('status', 'skipped');
+      expect(am.getLatestVersionOfInstalledAnalyser('patched-analyser')).to.equal('1.0.1');
+      expect(updating.callCount).to.equal(2);
+      expect(updated.firstCall.args[0]).to.deep.equal({analyser: 'patched-analyser', from: '1.0.0', to: '1.0.1', type: 'patch'});
+      expect(updateFailed.firstCall.args[0].error.message).to.equal('bin/install failed');
+    });
+  });
+
+  it('rejects unknown update types', function() {
+    return am.applyUpdates([], {allow: 'everything'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/Invalid update type 'everything'/);
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('updatable');
+    fs.removeSync(analysersDir);
+  });
+
+});
@@ -0,0 +1,115 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var fs = require('fs-extra');
+var path = require('path');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+
+var analysersDir = path.join(__dirname, '/idontexist/verifyFixtures');
+
+describe('verifying installed analysers', function() {
+
+  var am, analysers;
+
+  var VerifyExtractor = fakeExtractor({
+    files: function(analyser, version){
+      return {
+        'config.json': {shortName: analyser.name, version: version, entryPoint: 'bin/run'},
+        'package.json': {name: analyser.name, version: version},
+        'bin/run': ''
+      };
+    }
+  });
+
+  function install(analyserName){
+    return am.installAnalyser({name: analyserName, version: '1.0.0'}, true);
+  }
+
+  before(function(){
+    fs.removeSync(analysersDir);
+    AnalyserManger.registerExtractor('verifiable', VerifyExtractor);
+    analysers = {
+      "verify-analyser": {"registry": "verifiable", "config": {"shortName": "verify-analyser"}}
+    };
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: analysers}]});
+    return am.init();
+  });
+
+  it('returns the installed config whether or not the analyser was already installed', function() {
+    analysers['verify-analyser'].config = {"shortName": "verify-analyser", "fromTheList": true};
+
+    return install('verify-analyser').then(function(installed){
+      expect(installed.config).to.deep.equal({shortName: 'verify-analyser', version: '1.0.0', entryPoint: 'bin/run'});
+      return am.installAnalyser({name: 'verify-analyser', version: '1.0.0'}).then(function(present){
+        expect(present.config).to.deep.equal(installed.config);
+        return am.fetchAnalyser('verify-analyser', '1.0.0');
+      }).then(function(fetched){
+        expect(fetched.config).to.deep.equal(installed.config);
+      });
+    });
+  });
+
+  it('reports no problems for an analyser as it was installed', function() {
+    return install('verify-analyser').then(function(){
+      return am.verifyAnalyser('verify-analyser', '1.0.0');
+    }).then(function(result){
+      expect(result).to.deep.equal({
+        name: 'verify-analyser',
+        version: '1.0.0',
+        path: path.join(analysersDir, 'verify-analyser@1.0.0'),
+        ok: true,
+        problems: []
+      });
+    });
+  });
+
+  it('reports version mismatches, missing files and a changed shortName', function() {
+    var dir = path.join(analysersDir, 'verify-analyser@1.0.0');
+
+    return install('verify-analyser').then(function(){
+      fs.writeJsonSync(path.join(dir, 'package.json'), {name: 'verify-analyser', version: '1.0.1'});
+      fs.removeSync(path.join(dir, 'bin/run'));
+      analysers['verify-analyser'].config = {shortName: 'verify-renamed'};
+      return am.verifyAnalyser('verify-analyser', '1.0.0');
+    }).then(function(result){
+      expect(result.ok).to.equal(false);
+      expect(result.problems.map(function(problem){
+        return problem.type;
+      })).to.deep.equal(['versionMismatch', 'missingFile', 'shortNameChanged']);
+      expect(result.problems[0]).to.have.property('actual', '1.0.1');
+      expect(result.problems[1]).to.have.property('file', 'bin/run');
+      expect(result.problems[2]).to.have.property('expected', 'verify-renamed');
+    });
+  });
+
+  it('reports an invalid config and an analyser that is no longer listed', function() {
+    var dir = path.join(analysersDir, 'verify-analyser@1.0.0');
+
+    return install('verify-analyser').then(function(){
+      fs.writeJsonSync(path.join(dir, 'config.json'), {version: '1.0.0'});
+      fs.removeSync(path.join(dir, 'package.json'));
+      delete analysers['verify-analyser'];
+      return am.verifyAnalyser('verify-analyser', '1.0.0');
+    }).then(function(result){
+      expect(result.problems.map(function(problem){
+        return problem.type;
+      })).to.deep.equal(['missingFile', 'invalidConfig', 'notInList']);
+      expect(result.problems[1].problems).to.deep.equal([{path: '$.shortName', message: 'is required'}]);
+    });
+  });
+
+  it('reports an analyser that is not installed', function() {
+    return am.verifyAnalyser('verify-analyser', '9.9.9').then(function(result){
+      expect(result.ok).to.equal(false);
+      expect(result.problems[0].type).to.equal('notInstalled');
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('verifiable');
+    fs.removeSync(analysersDir);
+  });
+
+});
@@ -0,0 +1,97 @@
+var chai = require('chai');
+var expect = chai.expect;
+
+var sinon = require('sinon');
+
+var fs = require('fs-extra');
+var path = require('path');
+var Promise = require('bluebird');
+
+var AnalyserManger = require('../../analyser-manager');
+var fakeExtractor = require('./helpers/fakeExtractor');
+var analysersDir = path.join(__dirname, '/idontexist/rangeFixtures');
+
+describe('version ranges and dist-tags', function() {
+
+  var am, fetch;
+
+  var RangeExtractor = fakeExtractor({
+    versions: ['1.0.0', '1.2.0', '1.10.0', '2.0.0', '2.1.0', '3.0.0-beta.1'],
+    latest: '2.1.0',
+    distTags: {latest: '2.1.0', next: '3.0.0-beta.1'},
+    fetch: function(){
+      return fetch.apply(this, arguments);
+    }
+  });
+
+  before(function(){
+    AnalyserManger.registerExtractor('ranged', RangeExtractor);
+    fetch = sinon.spy(function(analyser, version, installDir){
+      fakeExtractor.writeAnalyser(installDir, analyser, version, {'config.json': {shortName: 'ranged', version: version}});
+      return Promise.resolve();
+    });
+
+    am = new AnalyserManger(analysersDir, {sources: [{analysers: {
+      "ranged-analyser": {"registry": "ranged", "config": {"shortName": "ranged"}}
+    }}]});
+    return am.init().then(function(){
+      return Promise.each(['1.0.0', '1.2.0'], function(version){
+        return am.installAnalyser({name: 'ranged-analyser', version: version});
+      });
+    });
+  });
+
+  beforeEach(function(){
+    fetch.reset();
+  });
+
+  it('resolves a range against installed versions first', function() {
+    return am.installAnalyser({name: 'ranged-analyser', version: '^1.0.0'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, 'ranged-analyser@1.2.0'));
+      expect(fetch.called).to.be.false;
+    });
+  });
+
+  it('installs the highest version from the registry that satisfies a range', function() {
+    return am.installAnalyser({name: 'ranged-analyser', version: '>=2 <3'}).then(function(analyser){
+      expect(analyser.path).to.equal(path.join(analysersDir, 'ranged-analyser@2.1.0'));
+      expect(fetch.calledOnce).to.be.true;
+    });
+  });
+
+  it('resolves dist-tags from the registry', function() {
+    return am.resolveVersion('ranged-analyser', 'next').then(function(version){
+      expect(version).to.equal('3.0.0-beta.1');
+    });
+  });
+
+  it('fails when nothing satisfies a range', function() {
+    return am.installAnalyser({name: 'ranged-analyser', version: '^4.0.0'}).then(function(){
+      throw new Error('should have failed');
+    }, function(err){
+      expect(err.message).to.match(/No version of analyser 'ranged-analyser' satisfies '\^4.0.0'/);
+    });
+  });
+
+  it('fetches the highest installed version that satisfies a range', function() {
+    return am.fetchAnalyser('ranged-analyser', '~1.0').then(function(analyser){
+      expect(analyser).to.have.deep.property('config.version', '1.0.0');
+      return am.fetchAnalyser('ranged-analyser', '^1.0.0');
+    }).then(function(analyser){
+      expect(analyser).to.have.deep.property('config.version', '1.2.0');
+    });
+  });
+
+  it('orders installed versions by semver', function() {
+    return am.installAnalyser({name: 'ranged-analyser', version: '1.10.0'}).then(function(){
+      expect(am.getInstalledVersions('ranged-analyser')).to.deep.equal(['1.0.0', '1.2.0', '1.10.0', '2.1.0']);
+      expect(am.getLatestVersionOfInstalledAnalyser('ranged-analyser')).to.equal('2.1.0');
+    });
+  });
+
+  after(function(){
+    AnalyserManger.unregisterExtractor('ranged');
+    fs.removeSync(analysersDir);
+  });
+
+});